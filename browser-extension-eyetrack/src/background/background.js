@@ -353,7 +353,8 @@ function handleCalibrationComplete(result) {
   const calibrationData = {
     result,
     timestamp: Date.now(),
-    accuracy: result.accuracy || null,
+    accuracy: result.accuracy ?? null,
+    collection: result.collection || null,
     points: result.points || []
   };
   
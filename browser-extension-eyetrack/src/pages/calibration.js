@@ -149,6 +149,7 @@ async function startCalibration() {
         result: {
           success: true,
           accuracy: result.accuracy,
+          collection: result.collection,
           points: result.points,
           timestamp: Date.now()
         }
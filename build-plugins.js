@@ -7,6 +7,7 @@ async function buildPlugins() {
     'jspsych-plugin/plugin-cogix-init-camera.js',
     'jspsych-plugin/plugin-cogix-calibrate.js', 
     'jspsych-plugin/plugin-cogix-validate.js',
+    'jspsych-plugin/plugin-cogix-drift-check.js',
     'jspsych-extension/jsPsychExtensionCogixEyeTracking.js'
   ];
 
@@ -14,6 +14,8 @@ class jsPsychExtensionCogixEyeTracking {
     this.tracker = null;
     this.calibrationUI = null;
     this.gazeRenderer = null;
+    this.aoiTracker = null;
+    this.aoiActive = false;
     this.dataBuffer = [];
     this.recording = false;
     this.currentTrialData = [];
@@ -53,6 +55,14 @@ class jsPsychExtensionCogixEyeTracking {
       show_status: true,
       round_predictions: true,
       round_precision: 1,
+      pupillometry: false,  // Record pupil diameters and add pupil summaries to trial data
+      pupil_diameter_method: 'area',  // 'area' or 'major' (see pupilDiameter in the SDK)
+      screen_width_mm: null,  // Physical display size; with both set, quality is also reported in degrees
+      screen_height_mm: null,
+      viewing_distance_mm: 600,
+      estimate_viewing_distance: false,  // Follow the distance measured by the tracker instead
+      viewport_coordinates: false,  // Also record gaze in viewport and page px (browser window, zoom and scroll applied)
+      browser_zoom: null,  // Page zoom (1 = 100%); estimated from the window size when null
       language: 'zh'  // 'en' for English, 'zh' for Chinese (default: Chinese)
     };
     
@@ -65,12 +75,21 @@ class jsPsychExtensionCogixEyeTracking {
     }
     
     // Get SDK components
-    const { EyeTracker, CalibrationUI, CanvasRenderer } = window.IrisPointEyeTracking;
+    const { EyeTracker, CalibrationUI, ValidationUI, CanvasRenderer, AOITracker, analyzePupil, pupilDiameter } = window.IrisPointEyeTracking;
     
     // Create tracker instance
     this.tracker = new EyeTracker({
       wsUrl: this.params.ws_url,
       autoInitialize: false,
+      richSamples: this.params.pupillometry,
+      viewportSamples: this.params.viewport_coordinates,
+      coordinateMapping: this.params.browser_zoom ? { zoom: this.params.browser_zoom } : undefined,
+      screen: {
+        widthMm: this.params.screen_width_mm || 0,
+        heightMm: this.params.screen_height_mm || 0,
+        viewingDistanceMm: this.params.viewing_distance_mm,
+        estimateDistance: this.params.estimate_viewing_distance
+      },
       debug: false
     });
     
@@ -84,6 +103,20 @@ class jsPsychExtensionCogixEyeTracking {
           t: data.timestamp  // Use the high-resolution timestamp from the tracker
         };
         
+        // Pupil diameters (camera pixels), null while the pupil is lost or during a blink
+        if (this.params.pupillometry && data.eyes) {
+          sample.pupil_left = this.getPupilDiameter(data.eyes.left, data.blink);
+          sample.pupil_right = this.getPupilDiameter(data.eyes.right, data.blink);
+        }
+        
+        // Gaze relative to the page (CSS px), for matching against page content
+        if (data.viewport) {
+          sample.viewport_x = data.viewport.x;
+          sample.viewport_y = data.viewport.y;
+          sample.page_x = data.page.x;
+          sample.page_y = data.page.y;
+        }
+        
         this.currentTrialData.push(sample);
         this.dataBuffer.push(sample);
       }
@@ -91,7 +124,11 @@ class jsPsychExtensionCogixEyeTracking {
     
     // Store extension reference for later use
     this.CalibrationUI = CalibrationUI;
+    this.ValidationUI = ValidationUI;
     this.CanvasRenderer = CanvasRenderer;
+    this.AOITracker = AOITracker;
+    this.analyzePupil = analyzePupil;
+    this.pupilDiameter = pupilDiameter;
     
     // Auto-initialize if requested
     if (this.params.auto_initialize) {
@@ -118,9 +155,11 @@ class jsPsychExtensionCogixEyeTracking {
   on_start(params = {}) {
     // Clear trial data
     this.currentTrialData = [];
+    this.trialStartTime = performance.now();
     
     // Parse trial parameters
     const trialParams = params || {};
+    this.currentTrialParams = trialParams;
     
     // Check if we should track this trial
     if (trialParams.track !== false) {
@@ -137,6 +176,11 @@ class jsPsychExtensionCogixEyeTracking {
     } else {
       this.currentTargets = [];
     }
+    
+    // Hit-test the targets while recording; selectors resolve once the plugin has built the DOM
+    if (this.currentTargets.length > 0 && this.recording) {
+      this.startAOITracking(trialParams);
+    }
   }
 
   /**
@@ -155,6 +199,11 @@ class jsPsychExtensionCogixEyeTracking {
     if (this.currentTargets.length > 0) {
       this.trackTargetPositions();
     }
+    
+    // Targets now exist; their rects are re-read on resize and layout changes
+    if (this.aoiActive) {
+      this.aoiTracker.refresh();
+    }
   }
 
   /**
@@ -165,6 +214,7 @@ class jsPsychExtensionCogixEyeTracking {
   on_finish(params = {}) {
     // Stop recording
     this.stopRecording();
+    const trialDuration = performance.now() - this.trialStartTime;
     
     // Hide gaze visualization if active
     if (this.gazeCanvas) {
@@ -186,10 +236,21 @@ class jsPsychExtensionCogixEyeTracking {
       returnData.cogix_eye_tracking.targets = this.targetPositions;
     }
     
+    // Add AOI metrics if the targets were hit-tested
+    if (this.aoiActive) {
+      returnData.cogix_eye_tracking.aoi = this.summarizeTrialAOI(trialDuration);
+    }
+    
+    // Add pupil summary if pupillometry is enabled
+    if (this.params.pupillometry && this.currentTrialData.length > 0) {
+      returnData.cogix_eye_tracking.pupil = this.summarizeTrialPupil(this.currentTrialParams || {});
+    }
+    
     // Clear trial-specific data
     this.currentTrialData = [];
     this.currentTargets = [];
     this.targetPositions = null;
+    this.currentTrialParams = null;
     
     return returnData;
   }
@@ -238,15 +299,24 @@ class jsPsychExtensionCogixEyeTracking {
     
     const defaults = {
       pointDuration: 3000,
+      pointAcceptance: 'fixed',
+      maxPointDuration: 5000,
       pointSize: 20,
       pointColor: '#4CAF50',
       backgroundColor: 'rgba(0, 0, 0, 0.95)',
       showInstructions: true,
-      autoFullscreen: true
+      autoFullscreen: true,
+      keyboardControls: false,
+      showReview: false
     };
     
     const calibrationOptions = { ...defaults, ...options };
     
+    // Pattern: 5, 9 or 13 points, or an array of normalized {x, y}
+    if (calibrationOptions.calibrationPoints) {
+      await this.tracker.setCalibrationPoints(calibrationOptions.calibrationPoints);
+    }
+    
     // Create calibration canvas
     const calibrationCanvas = document.createElement('canvas');
     calibrationCanvas.id = 'cogix-calibration-canvas';
@@ -299,6 +369,10 @@ class jsPsychExtensionCogixEyeTracking {
         this.tracker.off('calibrationComplete', completeHandler);
         this.tracker.off('calibrationCancelled', cancelHandler);
         
+        // Stops its listeners, including the operator keys
+        this.calibrationUI.destroy();
+        this.calibrationUI = null;
+        
         if (document.body.contains(calibrationCanvas)) {
           document.body.removeChild(calibrationCanvas);
         }
@@ -320,6 +394,213 @@ class jsPsychExtensionCogixEyeTracking {
     });
   }
 
+  /**
+   * Run the SDK's validation routine with a fullscreen target display
+   * @param {Object} options - Targets (normalized 0-1, or 5/9/13), timing and target style
+   * @returns {Promise} Resolves with the ValidationResult
+   */
+  async validate(options = {}) {
+    return this.runWithValidationDisplay(options, (validationOptions) => this.tracker.validate(validationOptions));
+  }
+
+  /**
+   * Export the finished calibration (plain JSON) for a later session
+   * @returns {Object} CalibrationSnapshot
+   */
+  exportCalibration() {
+    return this.tracker.exportCalibration();
+  }
+
+  /**
+   * Re-apply a calibration exported in an earlier session
+   * @param {Object} snapshot - From exportCalibration()
+   * @param {Object} options - { maxAge } in ms
+   * @returns {Promise} Resolves once the device has accepted the restored settings
+   */
+  async restoreCalibration(snapshot, options = {}) {
+    await this.tracker.restoreCalibration(snapshot, options);
+    this.calibrated = true;
+    this.updateStatus('calibrated');
+  }
+
+  /**
+   * Check a restored calibration with a short validation
+   * @param {Object} options - Validation options plus maxError / maxErrorDeg
+   * @returns {Promise} Resolves with { passed, validation, reference }
+   */
+  async verifyCalibration(options = {}) {
+    const verification = await this.runWithValidationDisplay(
+      { points: 5, pointDuration: 1500, ...options },
+      (validationOptions) => this.tracker.verifyCalibration({
+        ...validationOptions,
+        maxError: options.maxError,
+        maxErrorDeg: options.maxErrorDeg
+      })
+    );
+    this.calibrated = verification.passed;
+    return verification;
+  }
+
+  /**
+   * Fit a client-side gaze correction from the last validation and apply it to later gaze data
+   * @param {string|Object} model - 'polynomial' (needs 6+ validation targets), 'affine' or a custom model
+   * @returns {Object} Serialized correction (plain JSON), e.g. for saving with the trial data
+   */
+  fitGazeCorrection(model = 'polynomial') {
+    return this.tracker.fitGazeCorrection(model).serialize();
+  }
+
+  /**
+   * Apply a serialized gaze correction, or remove it with null
+   */
+  setGazeCorrection(correction) {
+    this.tracker.setGazeCorrection(correction);
+  }
+
+  /**
+   * Check for drift at one fixation target, shown by CalibrationUI
+   * Small drift is corrected in later gaze data; larger drift flags for recalibration
+   * @param {Object} options - target (normalized 0-1), timing, maxOffset / maxOffsetDeg, applyCorrection,
+   *   targetStyle (a CalibrationUI target config or renderer) and point size/color
+   * @returns {Promise} Resolves with the DriftCheckResult
+   */
+  async driftCheck(options = {}) {
+    if (!this.initialized) {
+      throw new Error('Eye tracker not initialized. Call connect() first.');
+    }
+    
+    const defaults = {
+      target: { x: 0.5, y: 0.5 },
+      pointDuration: 1500,
+      settleTime: 500,
+      maxOffset: 0.05,
+      applyCorrection: true,
+      pointSize: 20,
+      pointColor: '#4CAF50',
+      backgroundColor: 'rgba(0, 0, 0, 0.95)',
+      autoFullscreen: true
+    };
+    
+    const driftOptions = { ...defaults, ...options };
+    
+    // Samples only arrive while tracking
+    if (!this.tracking) {
+      await this.startTracking();
+    }
+    
+    const driftCanvas = document.createElement('canvas');
+    driftCanvas.id = 'cogix-drift-check-canvas';
+    driftCanvas.style.position = 'fixed';
+    driftCanvas.style.top = '0';
+    driftCanvas.style.left = '0';
+    driftCanvas.style.width = '100vw';
+    driftCanvas.style.height = '100vh';
+    driftCanvas.style.background = driftOptions.backgroundColor;
+    driftCanvas.style.zIndex = '100000';
+    driftCanvas.width = window.innerWidth;
+    driftCanvas.height = window.innerHeight;
+    
+    document.body.appendChild(driftCanvas);
+    
+    // Display options only - point timing here would change the calibration timing
+    const driftUI = new this.CalibrationUI(this.tracker, {
+      canvas: driftCanvas,
+      pointSize: driftOptions.pointSize,
+      pointColor: driftOptions.pointColor,
+      target: driftOptions.targetStyle,
+      backgroundColor: driftOptions.backgroundColor,
+      showInstructions: false,
+      autoFullscreen: driftOptions.autoFullscreen
+    });
+    
+    try {
+      const result = await this.tracker.driftCheck({
+        target: driftOptions.target,
+        pointDuration: driftOptions.pointDuration,
+        settleTime: driftOptions.settleTime,
+        maxOffset: driftOptions.maxOffset,
+        maxOffsetDeg: driftOptions.maxOffsetDeg,
+        applyCorrection: driftOptions.applyCorrection
+      });
+      if (result.needsRecalibration) {
+        this.calibrated = false;
+      }
+      return result;
+    } finally {
+      driftUI.destroy();
+      if (document.body.contains(driftCanvas)) {
+        document.body.removeChild(driftCanvas);
+      }
+    }
+  }
+
+  /**
+   * Show ValidationUI on a fullscreen canvas while `run` executes
+   */
+  async runWithValidationDisplay(options, run) {
+    if (!this.initialized) {
+      throw new Error('Eye tracker not initialized. Call connect() first.');
+    }
+    
+    const defaults = {
+      points: 9,
+      pointDuration: 2000,
+      settleTime: 500,
+      interPointDelay: 200,
+      moveDuration: 0,  // Glide the target to its next position during interPointDelay (ms)
+      pointSize: 20,
+      pointColor: '#FF5722',
+      backgroundColor: 'rgba(0, 0, 0, 0.95)',
+      showInstructions: false,
+      autoFullscreen: true
+    };
+    
+    const validationOptions = { ...defaults, ...options };
+    
+    // Samples only arrive while tracking
+    if (!this.tracking) {
+      await this.startTracking();
+    }
+    
+    const validationCanvas = document.createElement('canvas');
+    validationCanvas.id = 'cogix-validation-canvas';
+    validationCanvas.style.position = 'fixed';
+    validationCanvas.style.top = '0';
+    validationCanvas.style.left = '0';
+    validationCanvas.style.width = '100vw';
+    validationCanvas.style.height = '100vh';
+    validationCanvas.style.background = validationOptions.backgroundColor;
+    validationCanvas.style.zIndex = '100000';
+    validationCanvas.width = window.innerWidth;
+    validationCanvas.height = window.innerHeight;
+    
+    document.body.appendChild(validationCanvas);
+    
+    const validationUI = new this.ValidationUI(this.tracker, {
+      canvas: validationCanvas,
+      pointSize: validationOptions.pointSize,
+      pointColor: validationOptions.pointColor,
+      backgroundColor: validationOptions.backgroundColor,
+      showInstructions: validationOptions.showInstructions,
+      autoFullscreen: validationOptions.autoFullscreen,
+      moveDuration: validationOptions.moveDuration
+    });
+    
+    try {
+      return await run({
+        points: validationOptions.points,
+        pointDuration: validationOptions.pointDuration,
+        settleTime: validationOptions.settleTime,
+        interPointDelay: validationOptions.interPointDelay
+      });
+    } finally {
+      validationUI.destroy();
+      if (document.body.contains(validationCanvas)) {
+        document.body.removeChild(validationCanvas);
+      }
+    }
+  }
+
   /**
    * Start eye tracking
    * @returns {Promise} Resolves when tracking starts
@@ -333,11 +614,9 @@ class jsPsychExtensionCogixEyeTracking {
       console.warn('Starting tracking without calibration');
     }
     
-    this.tracker.startTracking();
+    await this.tracker.startTracking();
     this.tracking = true;
     this.updateStatus('tracking');
-    
-    return Promise.resolve();
   }
 
   /**
@@ -349,11 +628,9 @@ class jsPsychExtensionCogixEyeTracking {
       return Promise.resolve();
     }
     
-    this.tracker.stopTracking();
+    await this.tracker.stopTracking();
     this.tracking = false;
     this.updateStatus('calibrated');
-    
-    return Promise.resolve();
   }
 
   /**
@@ -368,7 +645,8 @@ class jsPsychExtensionCogixEyeTracking {
     this.stopRecording();
     
     if (this.tracking) {
-      await this.stopTracking();
+      // Disconnect regardless; an unanswered stop must not keep the socket open
+      await this.stopTracking().catch(err => console.warn('Stop tracking failed:', err));
     }
     
     this.tracker.disconnect();
@@ -700,12 +978,96 @@ class jsPsychExtensionCogixEyeTracking {
     };
   }
 
+  /**
+   * Summarize pupil diameters for the current trial
+   * @param {Object} trialParams - Trial parameters (pupil_baseline, pupil_baseline_mode)
+   * @returns {Object} Per-eye summary from the SDK's analyzePupil
+   */
+  summarizeTrialPupil(trialParams) {
+    const samples = this.currentTrialData.map(sample => ({
+      timestamp: sample.t,
+      left: sample.pupil_left ?? null,
+      right: sample.pupil_right ?? null
+    }));
+    
+    // Baseline window is given in ms relative to trial start
+    const baseline = trialParams.pupil_baseline === undefined
+      ? { start: 0, end: 200 }
+      : trialParams.pupil_baseline;
+    const baselineWindow = baseline
+      ? { start: this.trialStartTime + baseline.start, end: this.trialStartTime + baseline.end }
+      : null;
+    
+    const { summary } = this.analyzePupil(samples, baselineWindow, {
+      diameterMethod: this.params.pupil_diameter_method,
+      baselineMode: trialParams.pupil_baseline_mode || 'subtractive'
+    });
+    
+    return summary;
+  }
+
+  /**
+   * Summarize looking at the trial's targets
+   * @param {number} trialDuration - Trial duration in ms, for the proportion of the trial
+   * @returns {Object} Per-selector metrics, transitions between targets and the total dwell time
+   */
+  summarizeTrialAOI(trialDuration) {
+    this.aoiTracker.stop();
+    this.aoiActive = false;
+    
+    const stats = this.aoiTracker.getAllStats();
+    const totalDwell = Object.values(stats).reduce((sum, s) => sum + s.totalDwell, 0);
+    
+    const targets = {};
+    Object.values(stats).forEach(s => {
+      targets[s.id] = {
+        dwell_time: s.totalDwell,
+        // Share of the time spent on any target, as in preferential looking
+        proportion: totalDwell > 0 ? s.totalDwell / totalDwell : null,
+        proportion_of_trial: trialDuration > 0 ? s.totalDwell / trialDuration : null,
+        first_look_latency: s.timeToFirstEnter,
+        first_fixation_latency: s.timeToFirstFixation,
+        fixation_count: s.fixationCount,
+        visit_count: s.visitCount,
+        revisits: s.revisits
+      };
+    });
+    
+    return {
+      targets: targets,
+      transitions: this.aoiTracker.getTransitions(),
+      total_dwell_time: totalDwell
+    };
+  }
+
   // ==================== Private Helper Methods ====================
 
+  getPupilDiameter(eye, blink) {
+    if (blink || !eye || !eye.valid || !eye.pupil) return null;
+    const diameter = this.pupilDiameter(eye.pupil, this.params.pupil_diameter_method);
+    return diameter > 0 ? diameter : null;
+  }
+
   startRecording() {
     this.recording = true;
   }
 
+  startAOITracking(trialParams) {
+    if (!this.aoiTracker) {
+      this.aoiTracker = new this.AOITracker(this.tracker);
+    }
+    this.aoiTracker.clear();
+    this.currentTargets.forEach(selector => {
+      this.aoiTracker.add(selector, {
+        type: 'element',
+        element: selector,
+        padding: trialParams.aoi_padding || 0
+      });
+    });
+    this.aoiTracker.start();
+    this.aoiActive = true;
+  }
+
   stopRecording() {
     this.recording = false;
   }
@@ -800,7 +1162,8 @@ class jsPsychExtensionCogixEyeTracking {
       trailLength: 30,
       trailFadeOut: true,
       showHeatmap: false,
-      clearOnStop: true
+      clearOnStop: true,
+      coordinateSpace: 'canvas'  // Draw where the gaze falls in this window, not on the whole screen
     });
   }
 
@@ -861,6 +1224,14 @@ jsPsychExtensionCogixEyeTracking.info = {
         /** Target element positions if specified */
         targets: {
           type: 'COMPLEX'
+        },
+        /** Looking at the targets: per-selector dwell, proportion, first-look latency, fixations; transitions */
+        aoi: {
+          type: 'COMPLEX'
+        },
+        /** Per-eye pupil summary (baseline, mean, peak, ...) when pupillometry is enabled */
+        pupil: {
+          type: 'COMPLEX'
         }
       }
     }
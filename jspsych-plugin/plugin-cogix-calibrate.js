@@ -76,16 +76,11 @@ var jsPsychCogixCalibrate = (function () {
 
       const startTime = performance.now();
       
-      // Default calibration points (5-point calibration)
-      const defaultPoints = [
-        { x: 50, y: 50 },   // Center
-        { x: 10, y: 10 },   // Top-left
-        { x: 90, y: 10 },   // Top-right
-        { x: 10, y: 90 },   // Bottom-left
-        { x: 90, y: 90 }    // Bottom-right
-      ];
-      
-      const calibrationPoints = trial.calibration_points || defaultPoints;
+      // Percentage coordinates to the tracker's normalized 0-1 range;
+      // null keeps the tracker's configured pattern
+      const calibrationPoints = Array.isArray(trial.calibration_points)
+        ? trial.calibration_points.map(p => ({ x: p.x / 100, y: p.y / 100 }))
+        : trial.calibration_points;
       
       // Show instructions if provided
       if (trial.instructions) {
@@ -115,11 +110,19 @@ var jsPsychCogixCalibrate = (function () {
       // Use extension's calibration method with custom options
       const calibrationOptions = {
         pointDuration: trial.point_duration,
+        pointAcceptance: trial.point_acceptance,
+        maxPointDuration: trial.max_point_duration,
         pointSize: trial.point_size,
         pointColor: trial.point_color,
         backgroundColor: trial.background_color,
         showInstructions: trial.show_instructions_during,
-        autoFullscreen: trial.auto_fullscreen
+        autoFullscreen: trial.auto_fullscreen,
+        keyboardControls: trial.keyboard_controls,
+        target: trial.calibration_target || undefined,
+        showReview: trial.show_review,
+        reviewMaxError: trial.review_max_error,
+        reviewMaxErrorDeg: trial.review_max_error_deg ?? undefined,
+        calibrationPoints: points
       };
       
       try {
@@ -142,13 +145,13 @@ var jsPsychCogixCalibrate = (function () {
         `;
         
         document.getElementById('continue-button').addEventListener('click', () => {
-          this.endTrial(true, performance.now() - startTime, result.accuracy);
+          this.endTrial(true, performance.now() - startTime, result);
         });
         
         // Auto-advance if specified
         if (trial.auto_advance) {
           setTimeout(() => {
-            this.endTrial(true, performance.now() - startTime, result.accuracy);
+            this.endTrial(true, performance.now() - startTime, result);
           }, trial.advance_delay);
         }
         
@@ -186,20 +189,47 @@ var jsPsychCogixCalibrate = (function () {
         
         if (trial.allow_skip) {
           document.getElementById('skip-button').addEventListener('click', () => {
-            this.endTrial(false, performance.now() - startTime, 0, 'skipped');
+            this.endTrial(false, performance.now() - startTime, { accuracy: 0 }, 'skipped');
           });
         }
       }
     }
 
-    endTrial(success, rt, accuracy = null, status = null) {
+    endTrial(success, rt, result = null, status = null) {
       const trial_data = {
         success: success,
         rt: rt
       };
       
-      if (accuracy !== null) {
-        trial_data.calibration_accuracy = accuracy;
+      if (result) {
+        if (result.accuracy !== undefined) {
+          trial_data.calibration_accuracy = result.accuracy;
+        }
+        // Gaze recorded while the points were collected, through the previous mapping;
+        // it shows fixation on the targets, not the new calibration's accuracy
+        const collection = result.collection;
+        if (collection?.meanError !== undefined) {
+          trial_data.collection_mean_error = collection.meanError;
+          trial_data.collection_precision = collection.precision;
+        }
+        if (collection?.meanErrorDeg !== undefined) {
+          trial_data.collection_mean_error_deg = collection.meanErrorDeg;
+          trial_data.collection_precision_deg = collection.precisionDeg;
+        }
+        if (result.points) {
+          // Per-point gaze offsets without the raw samples, in percentage coordinates
+          trial_data.calibration_points = result.points.map(p => ({
+            x: p.x * 100,
+            y: p.y * 100,
+            error: p.error ?? null,
+            precision: p.precision ?? null,
+            error_deg: p.errorDeg ?? null,
+            sample_count: p.sampleCount ?? 0
+          }));
+        }
+        if (result.deviceReport) {
+          trial_data.calibration_device_report = result.deviceReport;
+        }
       }
       
       if (status) {
@@ -239,7 +269,7 @@ var jsPsychCogixCalibrate = (function () {
         type: 'STRING',
         default: 'zh'
       },
-      /** Calibration points as percentage coordinates */
+      /** Calibration pattern: 5, 9 or 13 points, or an array of percentage coordinates */
       calibration_points: {
         type: 'COMPLEX',
         default: null
@@ -249,6 +279,16 @@ var jsPsychCogixCalibrate = (function () {
         type: 'INT',
         default: 3000
       },
+      /** 'fixed' waits point_duration; 'gaze' or 'head' sends each point once gaze or head position has settled */
+      point_acceptance: {
+        type: 'STRING',
+        default: 'fixed'
+      },
+      /** Longest wait per point in the 'gaze' and 'head' modes (ms) */
+      max_point_duration: {
+        type: 'INT',
+        default: 5000
+      },
       /** Size of calibration points */
       point_size: {
         type: 'INT',
@@ -274,6 +314,31 @@ var jsPsychCogixCalibrate = (function () {
         type: 'BOOL',
         default: true
       },
+      /** Target style, e.g. { type: 'bullseye' } or { type: 'image', src: 'toy.png', sound: 'chime.mp3' }; null for the pulsing circle */
+      calibration_target: {
+        type: 'COMPLEX',
+        default: null
+      },
+      /** Operator keys during calibration: Space accept, Backspace restart point, P pause/resume, Esc cancel */
+      keyboard_controls: {
+        type: 'BOOL',
+        default: false
+      },
+      /** After calibration, show each point's samples and error so the operator can accept or recalibrate */
+      show_review: {
+        type: 'BOOL',
+        default: false
+      },
+      /** Review: points with a larger error are marked as failed, in normalized screen units (0-1) */
+      review_max_error: {
+        type: 'FLOAT',
+        default: 0.05
+      },
+      /** Review: failure threshold in degrees; replaces review_max_error when the screen size is configured */
+      review_max_error_deg: {
+        type: 'FLOAT',
+        default: null
+      },
       /** Whether to show feedback after calibration */
       show_feedback: {
         type: 'BOOL',
@@ -314,10 +379,34 @@ var jsPsychCogixCalibrate = (function () {
       rt: {
         type: 'INT'
       },
-      /** Calibration accuracy (0-1) */
+      /** Deprecated 0-1 score from collection_mean_error (1 - error / 0.1, clamped at 0) */
       calibration_accuracy: {
         type: 'FLOAT'
       },
+      /** Mean distance from each target to the mean gaze recorded while it was collected,
+       *  through the previous mapping (normalized screen units); use a validate trial for accuracy */
+      collection_mean_error: {
+        type: 'FLOAT'
+      },
+      /** Mean RMS sample-to-sample distance of that gaze (normalized screen units) */
+      collection_precision: {
+        type: 'FLOAT'
+      },
+      /** The same in degrees of visual angle (when the screen size is configured) */
+      collection_mean_error_deg: {
+        type: 'FLOAT'
+      },
+      collection_precision_deg: {
+        type: 'FLOAT'
+      },
+      /** Per-point target (percent), gaze offset and precision while collected, and sample count */
+      calibration_points: {
+        type: 'COMPLEX'
+      },
+      /** Extra fields from the device's calibration check reply */
+      calibration_device_report: {
+        type: 'COMPLEX'
+      },
       /** Status (e.g., 'skipped') */
       status: {
         type: 'STRING'
@@ -0,0 +1,299 @@
+/**
+ * jspsych-cogix-drift-check
+ *
+ * Plugin for checking and correcting drift of the Cogix eye tracker calibration
+ * with a single fixation target
+ *
+ * @author Cogix Team
+ * @version 1.0.0
+ */
+
+var jsPsychCogixDriftCheck = (function () {
+  "use strict";
+
+  class CogixDriftCheckPlugin {
+    constructor(jsPsych) {
+      this.jsPsych = jsPsych;
+    }
+
+    trial(display_element, trial) {
+      // Get the extension
+      const extension = this.jsPsych.extensions['cogix-eye-tracking'];
+
+      if (!extension || !extension.initialized) {
+        console.error('Cogix eye tracker not initialized');
+        this.jsPsych.finishTrial({
+          success: false,
+          error: 'Eye tracker not initialized'
+        });
+        return;
+      }
+
+      if (!extension.calibrated) {
+        console.error('Eye tracker not calibrated');
+        this.jsPsych.finishTrial({
+          success: false,
+          error: 'Eye tracker not calibrated'
+        });
+        return;
+      }
+
+      const startTime = performance.now();
+
+      // Percentage coordinates to the SDK's normalized 0-1 range
+      const target = { x: trial.target.x / 100, y: trial.target.y / 100 };
+
+      // Show instructions if provided
+      if (trial.instructions) {
+        display_element.innerHTML = `
+          <div id="drift-check-container" style="text-align: center; padding: 40px;">
+            <div>${trial.instructions}</div>
+            <button id="start-drift-check" class="jspsych-btn" style="margin-top: 30px; padding: 15px 30px; font-size: 16px;">
+              ${trial.button_text}
+            </button>
+          </div>
+        `;
+
+        document.getElementById('start-drift-check').addEventListener('click', () => {
+          this.startDriftCheck(display_element, trial, extension, target, startTime);
+        });
+      } else {
+        // Start drift check immediately
+        this.startDriftCheck(display_element, trial, extension, target, startTime);
+      }
+    }
+
+    async startDriftCheck(display_element, trial, extension, target, startTime) {
+      display_element.innerHTML = '';
+
+      let result;
+      try {
+        result = await extension.driftCheck({
+          target: target,
+          pointDuration: trial.point_duration,
+          settleTime: trial.point_settle_time,
+          maxOffset: trial.max_offset,
+          maxOffsetDeg: trial.max_offset_deg ?? undefined,
+          applyCorrection: trial.apply_correction,
+          pointSize: trial.point_size,
+          pointColor: trial.point_color,
+          targetStyle: trial.target_style || undefined,
+          backgroundColor: trial.background_color
+        });
+      } catch (error) {
+        console.error('Drift check failed:', error);
+        this.jsPsych.finishTrial({
+          success: false,
+          rt: performance.now() - startTime,
+          error: error.message
+        });
+        return;
+      }
+
+      const rt = performance.now() - startTime;
+
+      if (!result.needsRecalibration || !trial.show_feedback_on_fail) {
+        this.endTrial(result, rt, result.needsRecalibration ? 'failed' : 'passed');
+        return;
+      }
+
+      this.showFailure(display_element, trial, result, rt);
+    }
+
+    showFailure(display_element, trial, result, rt) {
+      const drift = result.offsetDeg !== undefined
+        ? `${result.offsetDeg.toFixed(2)}°`
+        : result.offsetDistance !== undefined
+          ? `${(result.offsetDistance * 100).toFixed(1)}% of the screen`
+          : null;
+
+      let html = `
+        <div style="text-align: center; padding: 40px; background: white;">
+          <h2 style="color: orange;">⚠ Drift Check Failed</h2>
+          <p style="margin: 20px 0; color: #666;">
+            ${drift
+              ? `The gaze has drifted ${drift} from the target.`
+              : 'Not enough gaze data was recorded at the target.'}
+            Recalibration is recommended.
+          </p>
+          <button id="recalibrate-button" class="jspsych-btn" style="margin: 10px; padding: 15px 30px;">
+            Recalibrate
+          </button>
+      `;
+
+      if (trial.allow_continue_on_fail) {
+        html += `
+          <button id="continue-button" class="jspsych-btn" style="margin: 10px; padding: 15px 30px; background: #2196F3;">
+            Continue Anyway
+          </button>
+        `;
+      }
+
+      html += `
+        </div>
+      `;
+
+      display_element.innerHTML = html;
+
+      document.getElementById('recalibrate-button').addEventListener('click', () => {
+        this.endTrial(result, rt, 'recalibrate');
+      });
+
+      if (trial.allow_continue_on_fail) {
+        document.getElementById('continue-button').addEventListener('click', () => {
+          this.endTrial(result, rt, 'failed');
+        });
+      }
+    }
+
+    endTrial(result, rt, status) {
+      // Offsets are in normalized screen units, the target in percent
+      const trial_data = {
+        success: !result.needsRecalibration,
+        rt: rt,
+        target: { x: result.target.x * 100, y: result.target.y * 100 },
+        drift_offset: result.offset || null,
+        drift_distance: result.offsetDistance ?? null,
+        drift_distance_deg: result.offsetDeg ?? null,
+        drift_correction: result.correction,
+        corrected: result.corrected,
+        needs_recalibration: result.needsRecalibration,
+        sample_count: result.point.sampleCount ?? 0,
+        status: status
+      };
+
+      // Clear display
+      this.jsPsych.getDisplayElement().innerHTML = '';
+
+      // End trial
+      this.jsPsych.finishTrial(trial_data);
+    }
+  }
+
+  CogixDriftCheckPlugin.info = {
+    name: "cogix-drift-check",
+    version: "1.0.0",
+    parameters: {
+      /** Instructions to show before the drift check (empty to start immediately) */
+      instructions: {
+        type: 'HTML_STRING',
+        default: `
+          <p>Please look at the center of the dot that appears next.</p>
+        `
+      },
+      /** Button text to start the drift check */
+      button_text: {
+        type: 'STRING',
+        default: "Continue"
+      },
+      /** Fixation target as percentage coordinates */
+      target: {
+        type: 'COMPLEX',
+        default: { x: 50, y: 50 }
+      },
+      /** Duration to show the target (ms) */
+      point_duration: {
+        type: 'INT',
+        default: 1500
+      },
+      /** Time to wait before collecting data (ms) */
+      point_settle_time: {
+        type: 'INT',
+        default: 500
+      },
+      /** Largest drift that is corrected, in normalized screen units (0-1) */
+      max_offset: {
+        type: 'FLOAT',
+        default: 0.05
+      },
+      /** Largest drift that is corrected, in degrees; replaces max_offset when the screen size is configured */
+      max_offset_deg: {
+        type: 'FLOAT',
+        default: null
+      },
+      /** Correct later gaze data by the measured drift when it is within the threshold */
+      apply_correction: {
+        type: 'BOOL',
+        default: true
+      },
+      /** Size of the target */
+      point_size: {
+        type: 'INT',
+        default: 20
+      },
+      /** Target style, e.g. { type: 'bullseye' }; null for the pulsing circle */
+      target_style: {
+        type: 'COMPLEX',
+        default: null
+      },
+      /** Color of the target */
+      point_color: {
+        type: 'STRING',
+        default: "#4CAF50"
+      },
+      /** Background color during the drift check */
+      background_color: {
+        type: 'STRING',
+        default: "rgba(0, 0, 0, 0.95)"
+      },
+      /** Show a message with a Recalibrate button when the drift is too large */
+      show_feedback_on_fail: {
+        type: 'BOOL',
+        default: true
+      },
+      /** Whether to allow continuing when the drift is too large */
+      allow_continue_on_fail: {
+        type: 'BOOL',
+        default: true
+      }
+    },
+    data: {
+      /** Whether the drift was within the threshold */
+      success: {
+        type: 'BOOL'
+      },
+      /** Response time */
+      rt: {
+        type: 'INT'
+      },
+      /** Fixation target (percentage coordinates) */
+      target: {
+        type: 'COMPLEX'
+      },
+      /** Drift since calibration, gaze minus target (normalized screen units); null with too few samples */
+      drift_offset: {
+        type: 'COMPLEX'
+      },
+      /** Length of drift_offset (normalized screen units) */
+      drift_distance: {
+        type: 'FLOAT'
+      },
+      /** Length of drift_offset in degrees of visual angle (null without screen size) */
+      drift_distance_deg: {
+        type: 'FLOAT'
+      },
+      /** Offset subtracted from later gaze data, or null */
+      drift_correction: {
+        type: 'COMPLEX'
+      },
+      /** Whether this drift check changed the correction */
+      corrected: {
+        type: 'BOOL'
+      },
+      /** Whether the drift was too large, or could not be measured */
+      needs_recalibration: {
+        type: 'BOOL'
+      },
+      /** Gaze samples measured at the target */
+      sample_count: {
+        type: 'INT'
+      },
+      /** Status (passed/failed/recalibrate) */
+      status: {
+        type: 'STRING'
+      }
+    }
+  };
+
+  return CogixDriftCheckPlugin;
+})();
\ No newline at end of file
@@ -39,24 +39,10 @@ var jsPsychCogixValidate = (function () {
 
       const startTime = performance.now();
       
-      // Default validation points (9-point grid)
-      const defaultPoints = [
-        { x: 50, y: 50 },   // Center
-        { x: 10, y: 10 },   // Top-left
-        { x: 50, y: 10 },   // Top-center
-        { x: 90, y: 10 },   // Top-right
-        { x: 10, y: 50 },   // Middle-left
-        { x: 90, y: 50 },   // Middle-right
-        { x: 10, y: 90 },   // Bottom-left
-        { x: 50, y: 90 },   // Bottom-center
-        { x: 90, y: 90 }    // Bottom-right
-      ];
-      
-      const validationPoints = trial.validation_points || defaultPoints;
-      let currentPoint = 0;
-      let validationData = [];
-      let pointStartTime;
-      let collectingData = false;
+      // Percentage coordinates to the SDK's normalized 0-1 range; null uses the 9-point grid
+      const validationPoints = Array.isArray(trial.validation_points)
+        ? trial.validation_points.map(p => ({ x: p.x / 100, y: p.y / 100 }))
+        : 9;
       
       // Show instructions if provided
       if (trial.instructions) {
@@ -79,150 +65,80 @@ var jsPsychCogixValidate = (function () {
     }
 
     async startValidation(display_element, trial, extension, points, startTime) {
-      // Clear display and set up for validation
       display_element.innerHTML = '';
-      display_element.style.position = 'relative';
-      display_element.style.width = '100vw';
-      display_element.style.height = '100vh';
-      display_element.style.overflow = 'hidden';
-      
-      if (trial.background_color) {
-        display_element.style.backgroundColor = trial.background_color;
-      }
-      
-      // Create validation point element
-      const pointElement = document.createElement('div');
-      pointElement.style.position = 'absolute';
-      pointElement.style.width = trial.point_size + 'px';
-      pointElement.style.height = trial.point_size + 'px';
-      pointElement.style.borderRadius = '50%';
-      pointElement.style.backgroundColor = trial.point_color;
-      pointElement.style.transform = 'translate(-50%, -50%)';
-      pointElement.style.transition = `all ${trial.point_move_time}ms ease-in-out`;
-      pointElement.style.display = 'none';
-      display_element.appendChild(pointElement);
-      
-      // Create feedback element if needed
-      let feedbackElement;
-      if (trial.show_feedback_during) {
-        feedbackElement = document.createElement('div');
-        feedbackElement.style.position = 'absolute';
-        feedbackElement.style.top = '20px';
-        feedbackElement.style.left = '50%';
-        feedbackElement.style.transform = 'translateX(-50%)';
-        feedbackElement.style.padding = '10px 20px';
-        feedbackElement.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-        feedbackElement.style.color = 'white';
-        feedbackElement.style.borderRadius = '8px';
-        feedbackElement.style.fontSize = '14px';
-        display_element.appendChild(feedbackElement);
-      }
       
-      // Validation data collection
-      const validationData = [];
-      let currentPoint = 0;
-      
-      // Function to collect data for current point
-      const collectPointData = () => {
-        return new Promise((resolve) => {
-          const point = points[currentPoint];
-          const targetX = (point.x / 100) * window.innerWidth;
-          const targetY = (point.y / 100) * window.innerHeight;
-          
-          // Position point
-          pointElement.style.left = targetX + 'px';
-          pointElement.style.top = targetY + 'px';
-          pointElement.style.display = 'block';
-          
-          // Collect gaze samples
-          const samples = [];
-          const startTime = performance.now();
-          
-          // Start collecting after settle time
-          setTimeout(() => {
-            const collectInterval = setInterval(() => {
-              const currentGaze = extension.getCurrentGaze();
-              if (currentGaze) {
-                samples.push({
-                  x: currentGaze.x * window.innerWidth,
-                  y: currentGaze.y * window.innerHeight,
-                  timestamp: performance.now()
-                });
-              }
-            }, 16); // ~60Hz sampling
-            
-            // Stop collecting after duration
-            setTimeout(() => {
-              clearInterval(collectInterval);
-              
-              // Calculate accuracy for this point
-              const accuracy = this.calculatePointAccuracy(samples, targetX, targetY);
-              
-              validationData.push({
-                point: point,
-                target: { x: targetX, y: targetY },
-                samples: samples,
-                accuracy: accuracy,
-                sample_count: samples.length
-              });
-              
-              // Update feedback if shown
-              if (feedbackElement) {
-                const avgAccuracy = validationData.reduce((sum, d) => sum + d.accuracy, 0) / validationData.length;
-                feedbackElement.textContent = `Point ${currentPoint + 1}/${points.length} - Accuracy: ${(avgAccuracy * 100).toFixed(1)}%`;
-              }
-              
-              resolve();
-            }, trial.point_duration - trial.point_settle_time);
-          }, trial.point_settle_time);
+      let result;
+      try {
+        result = await extension.validate({
+          points: points,
+          pointDuration: trial.point_duration,
+          settleTime: trial.point_settle_time,
+          // The target glides to its next position, so the gap must fit the move
+          interPointDelay: Math.max(trial.inter_point_delay, trial.point_move_time),
+          moveDuration: trial.point_move_time,
+          pointSize: trial.point_size,
+          pointColor: trial.point_color,
+          backgroundColor: trial.background_color,
+          showInstructions: trial.show_feedback_during
         });
-      };
-      
-      // Run validation for all points
-      for (currentPoint = 0; currentPoint < points.length; currentPoint++) {
-        await collectPointData();
-        
-        // Brief pause between points
-        if (currentPoint < points.length - 1) {
-          pointElement.style.display = 'none';
-          await new Promise(resolve => setTimeout(resolve, trial.inter_point_delay));
-        }
+      } catch (error) {
+        console.error('Validation failed:', error);
+        this.jsPsych.finishTrial({
+          success: false,
+          rt: performance.now() - startTime,
+          error: error.message
+        });
+        return;
       }
       
-      // Calculate overall accuracy
-      const overallAccuracy = this.calculateOverallAccuracy(validationData);
+      // Per-point results; error and precision are in normalized screen units
+      const validationData = result.points.map(p => ({
+        point: { x: p.x * 100, y: p.y * 100 },
+        gaze: p.gaze || null,
+        error: p.error ?? null,
+        precision: p.precision ?? null,
+        sd: p.sd ?? null,
+        error_deg: p.errorDeg ?? null,
+        sample_count: p.sampleCount ?? 0
+      }));
       
-      // Show results
-      this.showResults(display_element, trial, validationData, overallAccuracy, performance.now() - startTime);
+      this.showResults(display_element, trial, validationData, result, performance.now() - startTime);
     }
 
-    calculatePointAccuracy(samples, targetX, targetY) {
-      if (samples.length === 0) return 0;
-      
-      // Calculate average distance from target
-      const distances = samples.map(sample => {
-        const dx = sample.x - targetX;
-        const dy = sample.y - targetY;
-        return Math.sqrt(dx * dx + dy * dy);
-      });
-      
-      const avgDistance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
-      
-      // Convert to accuracy (0-1 scale)
-      // Consider < 50px as perfect, > 200px as 0 accuracy
-      const maxAcceptableDistance = 200;
-      const accuracy = Math.max(0, 1 - (avgDistance / maxAcceptableDistance));
-      
-      return accuracy;
+    /**
+     * Largest mean error that passes, in normalized screen units
+     * accuracy_threshold was a 0-1 score of 1 - error / 0.1; it is converted back to that error
+     */
+    maxError(trial) {
+      return trial.accuracy_threshold !== null
+        ? (1 - trial.accuracy_threshold) * 0.1
+        : trial.max_error;
     }
 
-    calculateOverallAccuracy(validationData) {
-      const totalAccuracy = validationData.reduce((sum, data) => sum + data.accuracy, 0);
-      return totalAccuracy / validationData.length;
+    /**
+     * Error in degrees when the screen size is known, else as a percentage of the screen
+     */
+    formatError(error, errorDeg) {
+      if (errorDeg !== null && errorDeg !== undefined) return `${errorDeg.toFixed(2)}°`;
+      if (error !== null && error !== undefined) return `${(error * 100).toFixed(1)}% of the screen`;
+      return 'no data';
     }
 
-    showResults(display_element, trial, validationData, overallAccuracy, rt) {
-      const passed = overallAccuracy >= trial.accuracy_threshold;
+    /**
+     * Whether an error is within the threshold; null when it was not measured
+     */
+    withinThreshold(trial, error, errorDeg) {
+      // The degree threshold applies whenever the SDK could report degrees
+      if (trial.accuracy_threshold_deg !== null && errorDeg !== null && errorDeg !== undefined) {
+        return errorDeg <= trial.accuracy_threshold_deg;
+      }
+      if (error === null || error === undefined) return null;
+      return error <= this.maxError(trial);
+    }
+
+    showResults(display_element, trial, validationData, result, rt) {
+      const useDegrees = trial.accuracy_threshold_deg !== null && result.meanErrorDeg !== undefined;
+      const passed = this.withinThreshold(trial, result.meanError, result.meanErrorDeg) === true;
       
       let html = `
         <div style="text-align: center; padding: 40px; background: white;">
@@ -230,8 +146,13 @@ var jsPsychCogixValidate = (function () {
             ${passed ? '✓ Validation Passed' : '⚠ Validation Warning'}
           </h2>
           <p style="font-size: 24px; margin: 20px 0;">
-            Overall Accuracy: ${(overallAccuracy * 100).toFixed(1)}%
+            Mean error: ${this.formatError(result.meanError, result.meanErrorDeg)}
           </p>
+          ${result.precision !== undefined ? `
+            <p style="font-size: 18px; margin: 10px 0;">
+              Precision (RMS): ${this.formatError(result.precision, result.precisionDeg)}
+            </p>
+          ` : ''}
       `;
       
       if (trial.show_detailed_results) {
@@ -244,20 +165,21 @@ var jsPsychCogixValidate = (function () {
                   <th style="padding: 10px; border: 1px solid #ddd;">Point</th>
                   <th style="padding: 10px; border: 1px solid #ddd;">Position</th>
                   <th style="padding: 10px; border: 1px solid #ddd;">Samples</th>
-                  <th style="padding: 10px; border: 1px solid #ddd;">Accuracy</th>
+                  <th style="padding: 10px; border: 1px solid #ddd;">Error</th>
                 </tr>
               </thead>
               <tbody>
         `;
         
         validationData.forEach((data, i) => {
+          const pointPassed = this.withinThreshold(trial, data.error, data.error_deg);
           html += `
             <tr>
               <td style="padding: 8px; border: 1px solid #ddd;">${i + 1}</td>
               <td style="padding: 8px; border: 1px solid #ddd;">${data.point.x}%, ${data.point.y}%</td>
               <td style="padding: 8px; border: 1px solid #ddd;">${data.sample_count}</td>
-              <td style="padding: 8px; border: 1px solid #ddd; color: ${data.accuracy > 0.7 ? 'green' : data.accuracy > 0.5 ? 'orange' : 'red'};">
-                ${(data.accuracy * 100).toFixed(1)}%
+              <td style="padding: 8px; border: 1px solid #ddd; color: ${pointPassed === null ? 'gray' : pointPassed ? 'green' : 'red'};">
+                ${this.formatError(data.error, data.error_deg)}
               </td>
             </tr>
           `;
@@ -273,7 +195,9 @@ var jsPsychCogixValidate = (function () {
       if (!passed && trial.allow_recalibrate) {
         html += `
           <p style="margin: 20px 0; color: #666;">
-            The accuracy is below the threshold of ${(trial.accuracy_threshold * 100).toFixed(0)}%.
+            ${useDegrees
+              ? `The mean error is above the threshold of ${trial.accuracy_threshold_deg}°.`
+              : `The mean error is above the threshold of ${this.formatError(this.maxError(trial), null)}.`}
             You may want to recalibrate for better results.
           </p>
           <button id="recalibrate-button" class="jspsych-btn" style="margin: 10px; padding: 15px 30px;">
@@ -294,14 +218,14 @@ var jsPsychCogixValidate = (function () {
       // Handle button clicks
       if (!passed && trial.allow_recalibrate) {
         document.getElementById('recalibrate-button').addEventListener('click', () => {
-          this.endTrial(false, rt, overallAccuracy, validationData, 'recalibrate');
+          this.endTrial(false, rt, result, validationData, 'recalibrate');
         });
       }
       
       const continueButton = document.getElementById('continue-button');
       if (passed || trial.allow_continue_on_fail) {
         continueButton.addEventListener('click', () => {
-          this.endTrial(passed, rt, overallAccuracy, validationData, passed ? 'passed' : 'failed');
+          this.endTrial(passed, rt, result, validationData, passed ? 'passed' : 'failed');
         });
       } else {
         continueButton.disabled = true;
@@ -310,22 +234,28 @@ var jsPsychCogixValidate = (function () {
       // Auto-advance if specified
       if (trial.auto_advance && passed) {
         setTimeout(() => {
-          this.endTrial(true, rt, overallAccuracy, validationData, 'passed');
+          this.endTrial(true, rt, result, validationData, 'passed');
         }, trial.advance_delay);
       }
     }
 
-    endTrial(success, rt, accuracy, validationData, status) {
+    endTrial(success, rt, result, validationData, status) {
       const trial_data = {
         success: success,
         rt: rt,
-        overall_accuracy: accuracy,
+        mean_error: result.meanError ?? null,
+        precision: result.precision ?? null,
+        precision_sd: result.sd ?? null,
+        mean_error_deg: result.meanErrorDeg ?? null,
+        precision_deg: result.precisionDeg ?? null,
+        precision_sd_deg: result.sdDeg ?? null,
         status: status
       };
       
       if (validationData) {
         trial_data.validation_data = validationData;
-        trial_data.point_accuracies = validationData.map(d => d.accuracy);
+        trial_data.point_errors = validationData.map(d => d.error);
+        trial_data.point_errors_deg = validationData.map(d => d.error_deg);
       }
       
       // Clear display
@@ -370,16 +300,16 @@ var jsPsychCogixValidate = (function () {
         type: ParameterType.INT,
         default: 500
       },
-      /** Time for point to move to new position (ms) */
-      point_move_time: {
-        type: ParameterType.INT,
-        default: 500
-      },
       /** Delay between points (ms) */
       inter_point_delay: {
         type: ParameterType.INT,
         default: 200
       },
+      /** Time for the point to glide to its next position (ms); 0 hides it between points. Lengthens inter_point_delay to fit */
+      point_move_time: {
+        type: ParameterType.INT,
+        default: 0
+      },
       /** Size of validation points */
       point_size: {
         type: ParameterType.INT,
@@ -395,7 +325,7 @@ var jsPsychCogixValidate = (function () {
         type: ParameterType.STRING,
         default: "rgba(250, 250, 250, 1)"
       },
-      /** Show accuracy feedback during validation */
+      /** Show instructions and progress during validation */
       show_feedback_during: {
         type: ParameterType.BOOL,
         default: false
@@ -405,10 +335,20 @@ var jsPsychCogixValidate = (function () {
         type: ParameterType.BOOL,
         default: true
       },
-      /** Minimum accuracy threshold to pass (0-1) */
+      /** Maximum mean error to pass, in normalized screen units (0-1); also colours the per-point errors */
+      max_error: {
+        type: ParameterType.FLOAT,
+        default: 0.03
+      },
+      /** Deprecated 0-1 score threshold, converted to max_error = (1 - accuracy_threshold) * 0.1 */
       accuracy_threshold: {
         type: ParameterType.FLOAT,
-        default: 0.7
+        default: null
+      },
+      /** Maximum mean error to pass, in degrees; replaces max_error when the screen size is configured */
+      accuracy_threshold_deg: {
+        type: ParameterType.FLOAT,
+        default: null
       },
       /** Whether to auto-advance after successful validation */
       auto_advance: {
@@ -440,8 +380,26 @@ var jsPsychCogixValidate = (function () {
       rt: {
         type: ParameterType.INT
       },
-      /** Overall accuracy (0-1) */
-      overall_accuracy: {
+      /** Mean distance from each target to the mean gaze (normalized screen units) */
+      mean_error: {
+        type: ParameterType.FLOAT
+      },
+      /** Mean RMS sample-to-sample distance (normalized screen units) */
+      precision: {
+        type: ParameterType.FLOAT
+      },
+      /** Mean SD of the samples around the mean gaze (normalized screen units) */
+      precision_sd: {
+        type: ParameterType.FLOAT
+      },
+      /** mean_error, precision and precision_sd in degrees of visual angle (null without screen size) */
+      mean_error_deg: {
+        type: ParameterType.FLOAT
+      },
+      precision_deg: {
+        type: ParameterType.FLOAT
+      },
+      precision_sd_deg: {
         type: ParameterType.FLOAT
       },
       /** Status (passed/failed/recalibrate) */
@@ -452,8 +410,12 @@ var jsPsychCogixValidate = (function () {
       validation_data: {
         type: ParameterType.COMPLEX
       },
-      /** Array of accuracies for each point */
-      point_accuracies: {
+      /** Error of each point (normalized screen units, null when not measured) */
+      point_errors: {
+        type: ParameterType.COMPLEX
+      },
+      /** Error of each point in degrees (null without screen size) */
+      point_errors_deg: {
         type: ParameterType.COMPLEX
       }
     }
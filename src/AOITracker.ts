@@ -0,0 +1,477 @@
+/**
+ * Areas of interest
+ * Hit-tests the gazeData stream against registered shapes and DOM elements,
+ * emits enter/exit/dwell events and accumulates dwell statistics per AOI
+ */
+
+import { EyeTracker } from './EyeTracker'
+import { EventEmitter } from './EventEmitter'
+import { GazeEventDetector, GazeEventDetectorConfig, Fixation } from './GazeEventDetector'
+import { GazeData } from './types'
+
+/**
+ * AOI outline in viewport CSS px, or a DOM element whose bounding box is used
+ */
+export type AOIShape =
+  | { type: 'rect'; x: number; y: number; width: number; height: number }
+  | { type: 'circle'; x: number; y: number; radius: number }
+  | { type: 'polygon'; points: Array<{ x: number; y: number }> }
+  | { type: 'element'; element: Element | string; padding?: number }  // Element or CSS selector
+
+export interface AOITrackerConfig {
+  dwellTime?: number          // Continuous time inside an AOI before aoiDwell fires (ms)
+  maxGap?: number             // Longer gaps between samples end the current visits (ms)
+  mapGaze?: (sample: GazeData) => { x: number; y: number }  // Gaze to viewport px (default: the tracker's CoordinateMapper)
+  detector?: GazeEventDetector                 // Fixation source; one is created when not given
+  fixationDetection?: GazeEventDetectorConfig  // Config for the created detector
+}
+
+export interface AOIStats {
+  id: string
+  timeToFirstFixation: number | null   // From start()/resetStats() to the start of the first fixation inside (ms)
+  timeToFirstEnter: number | null      // From start()/resetStats() to the first sample inside (ms)
+  firstEnterTime: number | null        // Timestamp of the first sample inside
+  totalDwell: number                   // Time inside, summed over visits (ms)
+  visitCount: number                   // Entries into the AOI
+  revisits: number                     // Entries after the first
+  fixationCount: number                // Fixations whose centroid is inside
+}
+
+export interface AOITransition {
+  from: string
+  to: string
+  count: number   // Times the gaze went from one AOI to the other, with no other AOI visited in between
+}
+
+export interface AOIEventMap {
+  aoiEnter: { id: string; timestamp: number; x: number; y: number }
+  aoiExit: { id: string; timestamp: number; duration: number }   // duration of the visit that ended
+  aoiDwell: { id: string; timestamp: number; duration: number }  // once per visit, at dwellTime
+}
+
+interface AOI {
+  id: string
+  shape: AOIShape
+  element: Element | null              // Resolved element of an element shape
+  rect: DOMRect | null                 // Its cached bounding box
+  stats: AOIStats
+  visitStart: number | null            // Timestamp of the entry of the current visit
+  lastInside: number | null            // Last sample inside during the current visit
+  dwellAnnounced: boolean
+}
+
+/**
+ * Mutations of an AOI element or its ancestors that can move it
+ */
+const LAYOUT_MUTATIONS: MutationObserverInit = {
+  attributes: true,
+  attributeFilter: ['style', 'class', 'hidden'],
+  childList: true
+}
+
+/**
+ * Live AOI hit-testing on the tracker's gazeData stream
+ * Element rects are cached and re-read (at most once per frame) when an element
+ * is resized, its or an ancestor's style, class or children change, the window
+ * is resized or scrolled, or refresh() is called
+ */
+export class AOITracker extends EventEmitter<AOIEventMap> {
+  private tracker: EyeTracker
+  private config: Required<Pick<AOITrackerConfig, 'dwellTime' | 'maxGap'>>
+  private mapGaze: (sample: GazeData) => { x: number; y: number }
+  private detector: GazeEventDetector
+  private ownsDetector: boolean
+  private aois: Map<string, AOI> = new Map()
+  private resizeObserver: ResizeObserver | null = null
+  private mutationObserver: MutationObserver | null = null
+  private refreshFrame: number | null = null
+  private transitions: Map<string, Map<string, number>> = new Map()
+  private lastVisited: string | null = null
+  private startTime: number = performance.now()
+  private lastSampleTime: number | null = null
+  private active: boolean = true
+  private gazeHandler = (data: GazeData) => {
+    if (this.active) {
+      this.process(data)
+    }
+  }
+  private fixationHandler = (fixation: Fixation) => {
+    if (!this.active) return
+    const point = this.mapGaze({ timestamp: fixation.startTime, x: fixation.x, y: fixation.y })
+    this.aois.forEach(aoi => {
+      if (!this.contains(aoi, point.x, point.y)) return
+      aoi.stats.fixationCount++
+      if (aoi.stats.timeToFirstFixation === null && fixation.startTime >= this.startTime) {
+        aoi.stats.timeToFirstFixation = fixation.startTime - this.startTime
+      }
+    })
+  }
+  private layoutHandler = () => {
+    // Batch layout changes into one rect read per frame
+    if (this.refreshFrame !== null) return
+    this.refreshFrame = requestAnimationFrame(() => {
+      this.refreshFrame = null
+      this.refresh()
+    })
+  }
+
+  constructor(tracker: EyeTracker, config?: AOITrackerConfig) {
+    super()
+    this.tracker = tracker
+    this.config = {
+      dwellTime: config?.dwellTime ?? 500,
+      maxGap: config?.maxGap ?? 500
+    }
+    this.mapGaze = config?.mapGaze ?? (sample => sample.viewport ?? tracker.getCoordinateMapper().screenToViewport(sample))
+    this.ownsDetector = !config?.detector
+    this.detector = config?.detector ?? new GazeEventDetector(tracker, config?.fixationDetection)
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.layoutHandler)
+    }
+    // Elements also move when content around them changes; see observeLayout()
+    if (typeof MutationObserver !== 'undefined') {
+      this.mutationObserver = new MutationObserver(this.layoutHandler)
+    }
+    window.addEventListener('resize', this.layoutHandler)
+    // Capture scrolls of any scrollable ancestor, not only the document
+    window.addEventListener('scroll', this.layoutHandler, true)
+
+    this.tracker.on('gazeData', this.gazeHandler)
+    this.detector.on('fixationEnd', this.fixationHandler)
+  }
+
+  /**
+   * Register an AOI, or replace the shape of an existing one (its statistics are kept)
+   */
+  add(id: string, shape: AOIShape): void {
+    const existing = this.aois.get(id)
+    if (existing?.element) {
+      this.resizeObserver?.unobserve(existing.element)
+    }
+
+    const aoi: AOI = existing ?? {
+      id,
+      shape,
+      element: null,
+      rect: null,
+      stats: emptyStats(id),
+      visitStart: null,
+      lastInside: null,
+      dwellAnnounced: false
+    }
+    aoi.shape = shape
+    aoi.element = null
+    aoi.rect = null
+    this.aois.set(id, aoi)
+    this.resolveElement(aoi)
+    this.observeLayout()
+  }
+
+  /**
+   * Unregister an AOI; a visit in progress ends without an aoiExit
+   */
+  remove(id: string): void {
+    const aoi = this.aois.get(id)
+    if (!aoi) return
+    if (aoi.element) {
+      this.resizeObserver?.unobserve(aoi.element)
+    }
+    this.aois.delete(id)
+    this.observeLayout()
+  }
+
+  /**
+   * Unregister all AOIs
+   */
+  clear(): void {
+    this.resizeObserver?.disconnect()
+    this.mutationObserver?.disconnect()
+    this.aois.clear()
+  }
+
+  /**
+   * Registered AOI ids
+   */
+  getIds(): string[] {
+    return [...this.aois.keys()]
+  }
+
+  /**
+   * Re-read element rects, and resolve selectors whose element was not found yet
+   */
+  refresh(): void {
+    this.aois.forEach(aoi => this.resolveElement(aoi))
+    this.observeLayout()
+  }
+
+  /**
+   * AOIs containing a viewport point (px)
+   */
+  hitTest(x: number, y: number): string[] {
+    const ids: string[] = []
+    this.aois.forEach(aoi => {
+      if (this.contains(aoi, x, y)) ids.push(aoi.id)
+    })
+    return ids
+  }
+
+  /**
+   * AOIs the gaze is currently in
+   */
+  getCurrent(): string[] {
+    return [...this.aois.values()].filter(aoi => aoi.visitStart !== null).map(aoi => aoi.id)
+  }
+
+  /**
+   * Statistics of one AOI, or null when it is not registered
+   */
+  getStats(id: string): AOIStats | null {
+    const aoi = this.aois.get(id)
+    return aoi ? { ...aoi.stats } : null
+  }
+
+  /**
+   * Statistics of every AOI, by id
+   */
+  getAllStats(): Record<string, AOIStats> {
+    const stats: Record<string, AOIStats> = {}
+    this.aois.forEach(aoi => {
+      stats[aoi.id] = { ...aoi.stats }
+    })
+    return stats
+  }
+
+  /**
+   * Transition counts between AOIs, most frequent first
+   */
+  getTransitions(): AOITransition[] {
+    const transitions: AOITransition[] = []
+    this.transitions.forEach((targets, from) => {
+      targets.forEach((count, to) => transitions.push({ from, to, count }))
+    })
+    return transitions.sort((a, b) => b.count - a.count)
+  }
+
+  /**
+   * Zero the statistics and transitions; latencies are measured from now
+   */
+  resetStats(): void {
+    this.startTime = performance.now()
+    this.lastSampleTime = null
+    this.transitions = new Map()
+    this.lastVisited = null
+    this.aois.forEach(aoi => {
+      aoi.stats = emptyStats(aoi.id)
+      aoi.visitStart = null
+      aoi.lastInside = null
+      aoi.dwellAnnounced = false
+    })
+  }
+
+  /**
+   * Resume hit-testing with fresh statistics
+   */
+  start(): void {
+    this.resetStats()
+    this.refresh()
+    if (this.ownsDetector) {
+      this.detector.start()
+    }
+    this.active = true
+  }
+
+  /**
+   * Pause hit-testing, ending the visits in progress
+   */
+  stop(): void {
+    // Flushing the detector ends the fixation in progress, which still counts
+    if (this.ownsDetector) {
+      this.detector.stop()
+    }
+    this.active = false
+    this.endVisits(this.lastSampleTime ?? performance.now())
+    this.lastSampleTime = null
+  }
+
+  /**
+   * Stop listening to the tracker, the detector and layout changes
+   */
+  destroy(): void {
+    this.active = false
+    this.tracker.off('gazeData', this.gazeHandler)
+    this.detector.off('fixationEnd', this.fixationHandler)
+    if (this.ownsDetector) {
+      this.detector.destroy()
+    }
+    this.resizeObserver?.disconnect()
+    this.mutationObserver?.disconnect()
+    if (this.refreshFrame !== null) {
+      cancelAnimationFrame(this.refreshFrame)
+      this.refreshFrame = null
+    }
+    window.removeEventListener('resize', this.layoutHandler)
+    window.removeEventListener('scroll', this.layoutHandler, true)
+    this.aois.clear()
+    this.removeAllListeners()
+  }
+
+  private process(sample: GazeData): void {
+    // Blink samples carry no usable gaze position
+    if (sample.blink) return
+
+    const t = sample.correctedTimestamp ?? sample.timestamp
+    if (this.lastSampleTime !== null && t - this.lastSampleTime > this.config.maxGap) {
+      this.endVisits(this.lastSampleTime)
+    }
+    this.lastSampleTime = t
+
+    const point = this.mapGaze(sample)
+    const inside = [...this.aois.values()].filter(aoi => this.contains(aoi, point.x, point.y))
+
+    // Exits before entries, so a move between AOIs reads in order
+    this.aois.forEach(aoi => {
+      if (aoi.visitStart !== null && !inside.includes(aoi)) this.endVisit(aoi, t)
+    })
+
+    inside.forEach(aoi => {
+      if (aoi.visitStart === null) {
+        aoi.visitStart = t
+        aoi.dwellAnnounced = false
+        aoi.stats.visitCount++
+        aoi.stats.revisits = Math.max(0, aoi.stats.visitCount - 1)
+        if (aoi.stats.firstEnterTime === null) {
+          aoi.stats.firstEnterTime = t
+          aoi.stats.timeToFirstEnter = Math.max(0, t - this.startTime)
+        }
+        this.countTransition(aoi.id)
+        this.emit('aoiEnter', { id: aoi.id, timestamp: t, x: point.x, y: point.y })
+      } else if (aoi.lastInside !== null) {
+        aoi.stats.totalDwell += t - aoi.lastInside
+      }
+      aoi.lastInside = t
+
+      const duration = t - aoi.visitStart
+      if (!aoi.dwellAnnounced && duration >= this.config.dwellTime) {
+        aoi.dwellAnnounced = true
+        this.emit('aoiDwell', { id: aoi.id, timestamp: t, duration })
+      }
+    })
+  }
+
+  private countTransition(id: string): void {
+    const from = this.lastVisited
+    this.lastVisited = id
+    if (from === null || from === id || !this.aois.has(from)) return
+
+    const targets = this.transitions.get(from) ?? new Map<string, number>()
+    targets.set(id, (targets.get(id) ?? 0) + 1)
+    this.transitions.set(from, targets)
+  }
+
+  private endVisits(timestamp: number): void {
+    this.aois.forEach(aoi => {
+      if (aoi.visitStart !== null) this.endVisit(aoi, timestamp)
+    })
+  }
+
+  private endVisit(aoi: AOI, timestamp: number): void {
+    const duration = (aoi.lastInside ?? aoi.visitStart!) - aoi.visitStart!
+    aoi.visitStart = null
+    aoi.lastInside = null
+    this.emit('aoiExit', { id: aoi.id, timestamp, duration })
+  }
+
+  /**
+   * Find an element shape's element and cache its rect
+   */
+  private resolveElement(aoi: AOI): void {
+    const shape = aoi.shape
+    if (shape.type !== 'element') return
+
+    const element = typeof shape.element === 'string'
+      ? document.querySelector(shape.element)
+      : shape.element
+    if (element !== aoi.element) {
+      if (aoi.element) this.resizeObserver?.unobserve(aoi.element)
+      if (element) this.resizeObserver?.observe(element)
+      aoi.element = element
+    }
+    aoi.rect = element ? element.getBoundingClientRect() : null
+  }
+
+  /**
+   * Watch the style, class and children of the AOI elements and their ancestors,
+   * rather than every change in the document; while a selector matches nothing,
+   * also watch for added nodes
+   */
+  private observeLayout(): void {
+    const observer = this.mutationObserver
+    if (!observer) return
+    observer.disconnect()
+
+    const watched = new Set<Element>()
+    let unresolved = false
+    this.aois.forEach(aoi => {
+      if (aoi.shape.type !== 'element') return
+      if (!aoi.element) {
+        unresolved = unresolved || typeof aoi.shape.element === 'string'
+        return
+      }
+      for (let node: Element | null = aoi.element; node; node = node.parentElement) {
+        watched.add(node)
+      }
+    })
+    watched.forEach(node => observer.observe(node, LAYOUT_MUTATIONS))
+    if (unresolved) {
+      observer.observe(document, { childList: true, subtree: true })
+    }
+  }
+
+  private contains(aoi: AOI, x: number, y: number): boolean {
+    const shape = aoi.shape
+    switch (shape.type) {
+      case 'rect':
+        return x >= shape.x && x <= shape.x + shape.width && y >= shape.y && y <= shape.y + shape.height
+      case 'circle':
+        return Math.hypot(x - shape.x, y - shape.y) <= shape.radius
+      case 'polygon':
+        return insidePolygon(shape.points, x, y)
+      case 'element': {
+        const rect = aoi.rect
+        if (!rect) return false
+        const padding = shape.padding ?? 0
+        return x >= rect.left - padding && x <= rect.right + padding &&
+               y >= rect.top - padding && y <= rect.bottom + padding
+      }
+    }
+  }
+}
+
+function emptyStats(id: string): AOIStats {
+  return {
+    id,
+    timeToFirstFixation: null,
+    timeToFirstEnter: null,
+    firstEnterTime: null,
+    totalDwell: 0,
+    visitCount: 0,
+    revisits: 0,
+    fixationCount: 0
+  }
+}
+
+/**
+ * Even-odd ray casting
+ */
+function insidePolygon(points: Array<{ x: number; y: number }>, x: number, y: number): boolean {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i]
+    const b = points[j]
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside
+    }
+  }
+  return inside
+}
\ No newline at end of file
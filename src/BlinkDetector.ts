@@ -0,0 +1,159 @@
+/**
+ * Blink detection from eye validity and pupil collapse
+ * A closure shorter than maxDuration is a blink, a longer one is tracking loss
+ */
+
+import { BlinkDetectionConfig, EventMap, EyeType, TrackerOutput, EyeInfo } from './types'
+import { pupilDiameter } from './Pupillometry'
+
+type BlinkEvent = 'blinkStart' | 'blinkEnd' | 'trackingLost' | 'trackingRestored'
+type BlinkEye = 'left' | 'right' | 'both'
+
+interface Closure {
+  startTime: number
+  left: boolean       // Eye was closed at some point during this closure
+  right: boolean
+  announced: boolean  // blinkStart has been emitted
+  lost: boolean       // Exceeded maxDuration, reported as tracking loss
+}
+
+/**
+ * Weight of each new open-eye diameter in the running pupil baseline
+ */
+const BASELINE_SMOOTHING = 0.05
+
+export class BlinkDetector {
+  private config: Required<BlinkDetectionConfig>
+  private onEvent: <K extends BlinkEvent>(event: K, data: EventMap[K]) => void
+  private trackedEyes: EyeType = 'both'
+  private baseline: { left: number | null; right: number | null } = { left: null, right: null }
+  private closure: Closure | null = null
+
+  constructor(
+    config?: BlinkDetectionConfig,
+    onEvent?: <K extends BlinkEvent>(event: K, data: EventMap[K]) => void
+  ) {
+    this.config = {
+      enabled: config?.enabled ?? true,
+      minDuration: config?.minDuration ?? 50,
+      maxDuration: config?.maxDuration ?? 500,
+      collapseRatio: config?.collapseRatio ?? 0.5,
+      flagPadding: config?.flagPadding ?? 50
+    }
+    this.onEvent = onEvent ?? (() => {})
+  }
+
+  get enabled(): boolean {
+    return this.config.enabled
+  }
+
+  /**
+   * Samples this many ms before a blink are flagged too
+   */
+  get flagPadding(): number {
+    return this.config.flagPadding
+  }
+
+  /**
+   * Which eyes the device is tracking; an untracked eye never counts as closed
+   */
+  setTrackedEyes(eyes: EyeType): void {
+    this.trackedEyes = eyes
+    this.reset()
+  }
+
+  /**
+   * Whether a blink (not tracking loss) is currently in progress
+   */
+  isBlinking(): boolean {
+    return !!this.closure && this.closure.announced && !this.closure.lost
+  }
+
+  /**
+   * Feed one tracker output
+   * @returns The completed blink's time range when this sample ended a blink
+   */
+  process(output: TrackerOutput, timestamp: number): { startTime: number; endTime: number } | null {
+    if (!this.config.enabled) return null
+
+    const leftClosed = this.trackedEyes !== 'right' && this.isClosed('left', output.haveLeftEyeInfo, output.tLeftEyeInfo)
+    const rightClosed = this.trackedEyes !== 'left' && this.isClosed('right', output.haveRightEyeInfo, output.tRightEyeInfo)
+
+    if (leftClosed || rightClosed) {
+      if (!this.closure) {
+        this.closure = { startTime: timestamp, left: false, right: false, announced: false, lost: false }
+      }
+      const closure = this.closure
+      closure.left = closure.left || leftClosed
+      closure.right = closure.right || rightClosed
+
+      const elapsed = timestamp - closure.startTime
+      if (!closure.announced && elapsed >= this.config.minDuration) {
+        closure.announced = true
+        this.onEvent('blinkStart', { eye: this.eyeOf(closure), timestamp: closure.startTime })
+      }
+      if (!closure.lost && elapsed > this.config.maxDuration) {
+        closure.lost = true
+        this.onEvent('trackingLost', { eye: this.eyeOf(closure), timestamp: closure.startTime })
+      }
+      return null
+    }
+
+    const closure = this.closure
+    if (!closure) return null
+    this.closure = null
+
+    const duration = timestamp - closure.startTime
+    if (closure.lost) {
+      this.onEvent('trackingRestored', { eye: this.eyeOf(closure), duration })
+      return null
+    }
+    if (!closure.announced) {
+      // Too short to be a blink - dropped frames or pupil-fit noise
+      return null
+    }
+
+    this.onEvent('blinkEnd', {
+      eye: this.eyeOf(closure),
+      startTime: closure.startTime,
+      endTime: timestamp,
+      duration
+    })
+    return { startTime: closure.startTime, endTime: timestamp }
+  }
+
+  /**
+   * Forget the pupil baseline and any closure in progress
+   */
+  reset(): void {
+    this.baseline = { left: null, right: null }
+    this.closure = null
+  }
+
+  private isClosed(eye: 'left' | 'right', haveEyeInfo: boolean, info?: EyeInfo): boolean {
+    if (!haveEyeInfo || !info) return true
+
+    const diameter = pupilDiameter({
+      width: info.f32PupilWidth,
+      height: info.f32PupilHeight,
+      angle: info.f32PupilAngle
+    })
+    if (!(diameter > 0)) return true
+
+    const baseline = this.baseline[eye]
+    if (baseline !== null && diameter < baseline * this.config.collapseRatio) {
+      return true
+    }
+
+    // Only open-eye diameters update the baseline
+    this.baseline[eye] = baseline === null
+      ? diameter
+      : baseline + (diameter - baseline) * BASELINE_SMOOTHING
+    return false
+  }
+
+  private eyeOf(closure: Closure): BlinkEye {
+    if (closure.left && closure.right) return 'both'
+    return closure.left ? 'left' : 'right'
+  }
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Calibration and validation quality measures
+ * Accuracy is the offset of the mean gaze from the target, precision the
+ * RMS distance between successive samples and the SD around the mean gaze,
+ * all in normalized screen units, and in degrees when the screen geometry is known
+ */
+
+import { CalibrationPoint, GazeData } from './types'
+import { ScreenGeometry } from './ScreenGeometry'
+
+/**
+ * Points with fewer samples than this are reported but not measured
+ */
+export const MIN_QUALITY_SAMPLES = 3
+
+/**
+ * Mean error at which the deprecated 0-1 accuracy score reaches 0 (normalized screen units)
+ */
+export const ACCURACY_ZERO_ERROR = 0.1
+
+export interface QualitySummary {
+  meanError?: number    // Mean of the per-point errors
+  precision?: number    // Mean of the per-point RMS sample-to-sample distances
+  sd?: number           // Mean of the per-point SDs
+  meanErrorDeg?: number // Degree versions, present when every measured point has them
+  precisionDeg?: number
+  sdDeg?: number
+  validPoints: number   // Points with at least MIN_QUALITY_SAMPLES samples
+}
+
+/**
+ * Measure one target from the gaze samples recorded while it was shown
+ * Blink samples are ignored; pass a configured geometry to also get degrees
+ */
+export function measurePoint(
+  target: { x: number; y: number },
+  samples: GazeData[],
+  geometry?: ScreenGeometry
+): CalibrationPoint {
+  const usable = samples.filter(s => !s.blink)
+  const point: CalibrationPoint = {
+    x: target.x,
+    y: target.y,
+    samples: usable,
+    sampleCount: usable.length
+  }
+  if (usable.length < MIN_QUALITY_SAMPLES) return point
+
+  const gaze = {
+    x: usable.reduce((sum, s) => sum + s.x, 0) / usable.length,
+    y: usable.reduce((sum, s) => sum + s.y, 0) / usable.length
+  }
+
+  let squared = 0
+  for (let i = 1; i < usable.length; i++) {
+    const dx = usable[i].x - usable[i - 1].x
+    const dy = usable[i].y - usable[i - 1].y
+    squared += dx * dx + dy * dy
+  }
+
+  const variance = usable.reduce((sum, s) => {
+    const dx = s.x - gaze.x
+    const dy = s.y - gaze.y
+    return sum + dx * dx + dy * dy
+  }, 0) / usable.length
+
+  point.gaze = gaze
+  point.error = Math.hypot(gaze.x - target.x, gaze.y - target.y)
+  point.precision = Math.sqrt(squared / (usable.length - 1))
+  point.sd = Math.sqrt(variance)
+
+  if (geometry?.isConfigured()) {
+    let squaredDeg = 0
+    for (let i = 1; i < usable.length; i++) {
+      const angle = geometry.angleBetween(usable[i - 1], usable[i])
+      squaredDeg += angle * angle
+    }
+
+    const varianceDeg = usable.reduce((sum, s) => {
+      const angle = geometry.angleBetween(s, gaze)
+      return sum + angle * angle
+    }, 0) / usable.length
+
+    point.errorDeg = geometry.angleBetween(gaze, target)
+    point.precisionDeg = Math.sqrt(squaredDeg / (usable.length - 1))
+    point.sdDeg = Math.sqrt(varianceDeg)
+  }
+  return point
+}
+
+/**
+ * Overall accuracy and precision across measured points
+ */
+export function summarizeQuality(points: CalibrationPoint[]): QualitySummary {
+  const measured = points.filter(p => p.error !== undefined)
+  if (measured.length === 0) {
+    return { validPoints: 0 }
+  }
+
+  const meanError = measured.reduce((sum, p) => sum + p.error!, 0) / measured.length
+  const precision = measured.reduce((sum, p) => sum + p.precision!, 0) / measured.length
+  const sd = measured.reduce((sum, p) => sum + p.sd!, 0) / measured.length
+
+  const summary: QualitySummary = {
+    meanError,
+    precision,
+    sd,
+    validPoints: measured.length
+  }
+
+  if (measured.every(p => p.errorDeg !== undefined)) {
+    summary.meanErrorDeg = measured.reduce((sum, p) => sum + p.errorDeg!, 0) / measured.length
+    summary.precisionDeg = measured.reduce((sum, p) => sum + p.precisionDeg!, 0) / measured.length
+    summary.sdDeg = measured.reduce((sum, p) => sum + p.sdDeg!, 0) / measured.length
+  }
+  return summary
+}
\ No newline at end of file
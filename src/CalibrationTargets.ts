@@ -0,0 +1,289 @@
+/**
+ * Calibration target renderers
+ * Draw the point shown by CalibrationUI and cue its acceptance
+ * (the moment its calibration command is sent) with a sound or animation
+ */
+
+/**
+ * How long the acceptance burst is drawn (ms)
+ */
+const ACCEPT_ANIMATION_DURATION = 400
+
+export interface TargetState {
+  x: number                    // Target centre, canvas px
+  y: number
+  index: number                // Point index and point count
+  total: number
+  elapsed: number              // ms since the point appeared
+  duration: number             // Expected dwell before acceptance (ms)
+  acceptedFor: number | null   // ms since the point was accepted, null before
+}
+
+/**
+ * Draws a calibration target; called every animation frame
+ */
+export interface CalibrationTargetRenderer {
+  draw(ctx: CanvasRenderingContext2D, state: TargetState): void
+  accept?(state: TargetState): void   // Called once when the point is accepted
+}
+
+export type TargetDrawFunction = (ctx: CanvasRenderingContext2D, state: TargetState) => void
+
+export interface TargetCueConfig {
+  size?: number                        // Radius in px
+  color?: string
+  sound?: string | HTMLAudioElement    // Played when the point is accepted
+  acceptAnimation?: 'burst' | 'none'   // Expanding ring when the point is accepted
+}
+
+export type CalibrationTargetConfig =
+  | ({ type: 'pulse' } & TargetCueConfig)
+  | ({ type: 'bullseye'; startSize?: number; crosshair?: boolean; crossColor?: string } & TargetCueConfig)
+  | ({ type: 'crosshair'; lineWidth?: number } & TargetCueConfig)
+  | ({ type: 'image'; src: string | HTMLImageElement; frames?: number; fps?: number; spin?: number; startSize?: number } & TargetCueConfig)
+  | ({ type: 'custom'; draw: TargetDrawFunction } & TargetCueConfig)
+
+/**
+ * Shared size, colour and acceptance cues
+ */
+abstract class CueTarget implements CalibrationTargetRenderer {
+  protected size: number
+  protected color: string
+  private sound: HTMLAudioElement | null
+  private acceptAnimation: 'burst' | 'none'
+
+  constructor(config: TargetCueConfig) {
+    this.size = config.size ?? 20
+    this.color = config.color ?? '#4CAF50'
+    this.sound = typeof config.sound === 'string' ? new Audio(config.sound) : config.sound ?? null
+    this.acceptAnimation = config.acceptAnimation ?? 'none'
+  }
+
+  draw(ctx: CanvasRenderingContext2D, state: TargetState): void {
+    this.drawTarget(ctx, state)
+
+    if (this.acceptAnimation === 'burst' && state.acceptedFor !== null && state.acceptedFor < ACCEPT_ANIMATION_DURATION) {
+      const progress = state.acceptedFor / ACCEPT_ANIMATION_DURATION
+      ctx.save()
+      ctx.globalAlpha = 1 - progress
+      ctx.beginPath()
+      ctx.arc(state.x, state.y, this.size * (1 + 2 * progress), 0, Math.PI * 2)
+      ctx.strokeStyle = this.color
+      ctx.lineWidth = 3
+      ctx.stroke()
+      ctx.restore()
+    }
+  }
+
+  accept(): void {
+    if (!this.sound) return
+    this.sound.currentTime = 0
+    this.sound.play().catch(err => {
+      console.warn('Failed to play target sound:', err)
+    })
+  }
+
+  protected abstract drawTarget(ctx: CanvasRenderingContext2D, state: TargetState): void
+}
+
+/**
+ * Pulsing circle with a progress ring - the default target
+ */
+export class PulsingCircleTarget extends CueTarget {
+  protected drawTarget(ctx: CanvasRenderingContext2D, state: TargetState): void {
+    const { x, y } = state
+
+    // Animated pulsing effect
+    const time = Date.now() / 1000
+    const pulse = Math.sin(time * 3) * 0.2 + 0.8
+    const size = this.size * pulse
+
+    // Draw outer ring
+    ctx.beginPath()
+    ctx.arc(x, y, size + 10, 0, Math.PI * 2)
+    ctx.strokeStyle = this.color
+    ctx.lineWidth = 2
+    ctx.stroke()
+
+    // Draw main point
+    ctx.beginPath()
+    ctx.arc(x, y, size, 0, Math.PI * 2)
+    ctx.fillStyle = this.color
+    ctx.fill()
+
+    // Draw center dot
+    ctx.beginPath()
+    ctx.arc(x, y, 3, 0, Math.PI * 2)
+    ctx.fillStyle = 'white'
+    ctx.fill()
+
+    // Draw progress indicator
+    const progress = (state.index + 1) / state.total
+    ctx.beginPath()
+    ctx.arc(x, y, size + 20, -Math.PI / 2, -Math.PI / 2 + (Math.PI * 2 * progress), false)
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)'
+    ctx.lineWidth = 3
+    ctx.stroke()
+  }
+}
+
+/**
+ * Bullseye that shrinks from startSize to size over the dwell
+ * With the cross (default) it is the ABC target of Thaler et al. (2013):
+ * outer disc, cross cut out in crossColor, small centre dot
+ */
+export class BullseyeTarget extends CueTarget {
+  private startSize: number
+  private crosshair: boolean
+  private crossColor: string
+
+  constructor(config: Omit<Extract<CalibrationTargetConfig, { type: 'bullseye' }>, 'type'> = {}) {
+    super(config)
+    this.startSize = config.startSize ?? this.size * 2
+    this.crosshair = config.crosshair ?? true
+    this.crossColor = config.crossColor ?? 'white'
+  }
+
+  protected drawTarget(ctx: CanvasRenderingContext2D, state: TargetState): void {
+    const { x, y } = state
+    const radius = shrink(this.startSize, this.size, state.elapsed, state.duration)
+
+    ctx.beginPath()
+    ctx.arc(x, y, radius, 0, Math.PI * 2)
+    ctx.fillStyle = this.color
+    ctx.fill()
+
+    if (this.crosshair) {
+      ctx.fillStyle = this.crossColor
+      const width = Math.max(2, radius / 4)
+      ctx.fillRect(x - radius, y - width / 2, radius * 2, width)
+      ctx.fillRect(x - width / 2, y - radius, width, radius * 2)
+    }
+
+    ctx.beginPath()
+    ctx.arc(x, y, Math.max(2, radius / 4), 0, Math.PI * 2)
+    ctx.fillStyle = this.color
+    ctx.fill()
+  }
+}
+
+/**
+ * Plain cross-hair
+ */
+export class CrosshairTarget extends CueTarget {
+  private lineWidth: number
+
+  constructor(config: Omit<Extract<CalibrationTargetConfig, { type: 'crosshair' }>, 'type'> = {}) {
+    super(config)
+    this.lineWidth = config.lineWidth ?? 2
+  }
+
+  protected drawTarget(ctx: CanvasRenderingContext2D, state: TargetState): void {
+    const { x, y } = state
+    ctx.beginPath()
+    ctx.moveTo(x - this.size, y)
+    ctx.lineTo(x + this.size, y)
+    ctx.moveTo(x, y - this.size)
+    ctx.lineTo(x, y + this.size)
+    ctx.strokeStyle = this.color
+    ctx.lineWidth = this.lineWidth
+    ctx.stroke()
+  }
+}
+
+/**
+ * Image or horizontal sprite sheet, optionally spinning and shrinking - for infant studies
+ * A circle in `color` stands in until the image has loaded
+ */
+export class ImageTarget extends CueTarget {
+  private image: HTMLImageElement
+  private frames: number
+  private fps: number
+  private spin: number
+  private startSize: number
+
+  constructor(config: Omit<Extract<CalibrationTargetConfig, { type: 'image' }>, 'type'>) {
+    super(config)
+    if (typeof config.src === 'string') {
+      this.image = new Image()
+      this.image.src = config.src
+    } else {
+      this.image = config.src
+    }
+    this.frames = Math.max(1, config.frames ?? 1)
+    this.fps = config.fps ?? 12
+    this.spin = config.spin ?? 0
+    this.startSize = config.startSize ?? this.size
+  }
+
+  protected drawTarget(ctx: CanvasRenderingContext2D, state: TargetState): void {
+    const { x, y } = state
+    const radius = shrink(this.startSize, this.size, state.elapsed, state.duration)
+
+    if (!this.image.complete || this.image.naturalWidth === 0) {
+      ctx.beginPath()
+      ctx.arc(x, y, radius, 0, Math.PI * 2)
+      ctx.fillStyle = this.color
+      ctx.fill()
+      return
+    }
+
+    const frameWidth = this.image.naturalWidth / this.frames
+    const frameHeight = this.image.naturalHeight
+    const frame = Math.floor(state.elapsed / 1000 * this.fps) % this.frames
+    // The longer side spans the target diameter
+    const scale = (radius * 2) / Math.max(frameWidth, frameHeight)
+    const width = frameWidth * scale
+    const height = frameHeight * scale
+
+    ctx.save()
+    ctx.translate(x, y)
+    if (this.spin) {
+      ctx.rotate(state.elapsed / 1000 * this.spin)
+    }
+    ctx.drawImage(this.image, frame * frameWidth, 0, frameWidth, frameHeight, -width / 2, -height / 2, width, height)
+    ctx.restore()
+  }
+}
+
+/**
+ * Target drawn by a callback; gets the same acceptance cues as the built-ins
+ */
+export class CustomTarget extends CueTarget {
+  private drawFunction: TargetDrawFunction
+
+  constructor(draw: TargetDrawFunction, config: TargetCueConfig = {}) {
+    super(config)
+    this.drawFunction = draw
+  }
+
+  protected drawTarget(ctx: CanvasRenderingContext2D, state: TargetState): void {
+    this.drawFunction(ctx, state)
+  }
+}
+
+/**
+ * Build a built-in target from its config
+ */
+export function createCalibrationTarget(config: CalibrationTargetConfig): CalibrationTargetRenderer {
+  switch (config.type) {
+    case 'pulse':
+      return new PulsingCircleTarget(config)
+    case 'bullseye':
+      return new BullseyeTarget(config)
+    case 'crosshair':
+      return new CrosshairTarget(config)
+    case 'image':
+      return new ImageTarget(config)
+    case 'custom':
+      return new CustomTarget(config.draw, config)
+  }
+}
+
+/**
+ * Radius going from `from` at onset to `to` at the end of the dwell
+ */
+function shrink(from: number, to: number, elapsed: number, duration: number): number {
+  if (duration <= 0) return to
+  return to + (from - to) * Math.max(0, 1 - elapsed / duration)
+}
\ No newline at end of file
@@ -4,17 +4,41 @@
  */
 
 import { EyeTracker } from './EyeTracker'
-import { CalibrationPoint, DeviceStatus } from './types'
+import { CalibrationPoint, CalibrationResult, CalibrationTimingConfig, DeviceStatus, Point2D } from './types'
+import {
+  CalibrationTargetConfig,
+  CalibrationTargetRenderer,
+  TargetState,
+  createCalibrationTarget
+} from './CalibrationTargets'
 
 export interface CalibrationUIConfig {
   canvas?: HTMLCanvasElement | string
-  pointDuration?: number
+  pointDuration?: number      // Dwell on each point before it is sent (ms)
+  pointAcceptance?: 'fixed' | 'gaze' | 'head'  // Or send once gaze/eye position has settled
+  maxPointDuration?: number   // Settled modes: longest wait per point (ms)
   pointSize?: number
   pointColor?: string
+  target?: CalibrationTargetConfig | CalibrationTargetRenderer  // How the point is drawn (default pulsing circle)
   backgroundColor?: string
   showInstructions?: boolean
   instructionText?: string
   autoFullscreen?: boolean
+  keyboardControls?: boolean  // Operator keys: Space accept, Backspace restart point, P pause/resume, Esc cancel (default false)
+  showReview?: boolean        // After calibration, show each point's samples and let the operator accept or recalibrate
+  reviewMaxError?: number     // Review: points with a larger error fail (normalized screen units)
+  reviewMaxErrorDeg?: number  // Review: threshold in degrees, used when the points have degree errors
+}
+
+/**
+ * Clickable area of a review button, canvas px
+ */
+interface ReviewButton {
+  action: 'accept' | 'recalibrate'
+  x: number
+  y: number
+  width: number
+  height: number
 }
 
 export class CalibrationUI {
@@ -27,29 +51,169 @@ export class CalibrationUI {
   private isVisible: boolean = false
   private animationFrame: number | null = null
   private pointTimer: NodeJS.Timeout | null = null
+  private isDriftCheck: boolean = false
+  private isPaused: boolean = false
+  private renderer: CalibrationTargetRenderer
+  private pointShownAt: number = 0
+  private pointAcceptedAt: number | null = null
+  private reviewResult: CalibrationResult | null = null   // Calibration waiting for the operator
+  private reviewButtons: ReviewButton[] = []
+  private startedHandler = () => {
+    this.isDriftCheck = false
+    this.isPaused = false
+    this.loadCalibrationPoints()
+    this.start()
+  }
+  private progressHandler = (data: { current: number; total: number }) => {
+    // data.current represents the point index to display
+    // When current=0, show first point (initial)
+    // When current=1, show second point (after first finished), etc.
+    this.currentPointIndex = data.current
+    this.pointShown()
+    // The animation loop will draw the current point
+  }
+  private pointSentHandler = (data: { index: number }) => {
+    if (data.index !== this.currentPointIndex || !this.canvas) return
+    this.pointAcceptedAt = performance.now()
+    const point = this.calibrationPoints[this.currentPointIndex]
+    if (point && this.renderer.accept) {
+      this.renderer.accept(this.targetState(point))
+    }
+  }
+  private driftCheckHandler = (data: { target: { x: number; y: number } }) => {
+    // A drift check is a single point shown for the whole measurement
+    this.isDriftCheck = true
+    this.isPaused = false
+    this.calibrationPoints = [{ ...data.target, samples: [], error: 0 }]
+    this.start()
+    this.currentPointIndex = 0
+    this.pointShown()
+  }
+  private pausedHandler = () => {
+    this.isPaused = true
+  }
+  private resumedHandler = () => {
+    this.isPaused = false
+  }
+  private endHandler = () => {
+    this.hide()
+  }
+  private reviewHandler = (result: CalibrationResult) => {
+    // Nobody can review it without the UI up
+    if (!this.isVisible) {
+      this.tracker.acceptCalibration()
+      return
+    }
+    this.reviewResult = result
+    this.currentPointIndex = -1
+    this.canvas?.addEventListener('click', this.reviewClickHandler)
+  }
+  private reviewClickHandler = (event: MouseEvent) => {
+    if (!this.reviewResult || !this.canvas) return
+
+    // Client px to canvas px, in case the canvas is scaled by CSS
+    const rect = this.canvas.getBoundingClientRect()
+    const x = (event.clientX - rect.left) * (this.canvas.width / rect.width)
+    const y = (event.clientY - rect.top) * (this.canvas.height / rect.height)
+
+    const button = this.reviewButtons.find(b =>
+      x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height
+    )
+    if (button) {
+      this.reviewAction(button.action)
+    }
+  }
+  private keyHandler = (event: KeyboardEvent) => {
+    if (!this.isVisible) return
+
+    if (this.reviewResult) {
+      switch (event.key) {
+        case 'Enter':
+          this.reviewAction('accept')
+          break
+        case 'r':
+        case 'R':
+          this.reviewAction('recalibrate')
+          break
+        case 'Escape':
+          this.tracker.cancelCalibration()
+          break
+        default:
+          return
+      }
+      event.preventDefault()
+      return
+    }
+
+    // A drift check can only be cancelled
+    if (this.isDriftCheck) {
+      if (event.key === 'Escape') {
+        event.preventDefault()
+        this.tracker.cancelDriftCheck()
+      }
+      return
+    }
+
+    switch (event.key) {
+      case ' ':
+        this.tracker.acceptCalibrationPoint()
+        break
+      case 'Backspace': {
+        // Only the point shown and not yet sent can be restarted
+        if (this.tracker.getPendingCalibrationPoint() === null) break
+        try {
+          this.tracker.restartCurrentPoint()
+        } catch (err) {
+          this.tracker.emit('error', err as Error)
+        }
+        break
+      }
+      case 'p':
+      case 'P':
+        if (this.tracker.isCalibrationPaused()) {
+          this.tracker.resumeCalibration()
+        } else {
+          this.tracker.pauseCalibration()
+        }
+        break
+      case 'Escape':
+        this.tracker.cancelCalibration()
+        break
+      default:
+        return
+    }
+    event.preventDefault()
+  }
 
   constructor(tracker: EyeTracker, config?: CalibrationUIConfig) {
     this.tracker = tracker
+
+    // Point timing is owned by the tracker; only override what was given here
+    this.applyTiming(config ?? {})
+    const trackerTiming = this.tracker.getCalibrationTiming()
     
     this.config = {
       canvas: (config?.canvas || null) as any,
-      pointDuration: config?.pointDuration ?? 3000,
+      pointDuration: trackerTiming.pointDuration,
+      pointAcceptance: trackerTiming.acceptance,
+      maxPointDuration: trackerTiming.maxDuration,
       pointSize: config?.pointSize ?? 20,
       pointColor: config?.pointColor ?? '#4CAF50',
       backgroundColor: config?.backgroundColor ?? 'rgba(0, 0, 0, 0.95)',
       showInstructions: config?.showInstructions ?? false,  // Default to no instructions for cleaner UI
       instructionText: config?.instructionText ?? 'Follow the green dot with your eyes',
-      autoFullscreen: config?.autoFullscreen ?? true  // Default to fullscreen like raw example
+      autoFullscreen: config?.autoFullscreen ?? true,  // Default to fullscreen like raw example
+      keyboardControls: config?.keyboardControls ?? false,
+      showReview: config?.showReview ?? false,
+      reviewMaxError: config?.reviewMaxError ?? 0.05,
+      reviewMaxErrorDeg: (config?.reviewMaxErrorDeg ?? null) as any,
+      target: config?.target ?? { type: 'pulse' }
     }
+    this.renderer = this.createRenderer()
+    this.tracker.setCalibrationReview(this.config.showReview)
 
-    // Default 5-point calibration pattern
-    this.calibrationPoints = [
-      { x: 0.1, y: 0.1, samples: [], error: 0 },  // Top-left
-      { x: 0.9, y: 0.1, samples: [], error: 0 },  // Top-right  
-      { x: 0.5, y: 0.5, samples: [], error: 0 },  // Center
-      { x: 0.1, y: 0.9, samples: [], error: 0 },  // Bottom-left
-      { x: 0.9, y: 0.9, samples: [], error: 0 }   // Bottom-right
-    ]
+    // Calibration pattern comes from the tracker
+    this.loadCalibrationPoints()
 
     // Initialize canvas if provided
     if (this.config.canvas) {
@@ -90,25 +254,30 @@ export class CalibrationUI {
    */
   private setupEventListeners(): void {
     // Listen for calibration events
-    this.tracker.on('calibrationStarted', (data) => {
-      this.start()
-    })
-
-    this.tracker.on('calibrationProgress', (data) => {
-      // data.current represents the point index to display
-      // When current=0, show first point (initial)
-      // When current=1, show second point (after first finished), etc.
-      this.currentPointIndex = data.current
-      // The animation loop will draw the current point
-    })
-
-    this.tracker.on('calibrationComplete', () => {
-      this.hide()
-    })
+    this.tracker.on('calibrationStarted', this.startedHandler)
+    this.tracker.on('calibrationProgress', this.progressHandler)
+    this.tracker.on('calibrationPointSent', this.pointSentHandler)
+    this.tracker.on('calibrationReview', this.reviewHandler)
+    this.tracker.on('calibrationComplete', this.endHandler)
+    this.tracker.on('calibrationCancelled', this.endHandler)
+    this.tracker.on('calibrationPaused', this.pausedHandler)
+    this.tracker.on('calibrationResumed', this.resumedHandler)
+
+    // Drift checks reuse the calibration target
+    this.tracker.on('driftCheckStarted', this.driftCheckHandler)
+    this.tracker.on('driftCheckComplete', this.endHandler)
+    this.tracker.on('driftCheckCancelled', this.endHandler)
+  }
 
-    this.tracker.on('calibrationCancelled', () => {
-      this.hide()
-    })
+  /**
+   * Read the current calibration pattern from the tracker
+   */
+  private loadCalibrationPoints(): void {
+    this.calibrationPoints = this.tracker.getCalibrationPoints().map(p => ({
+      ...p,
+      samples: [],
+      error: 0
+    }))
   }
 
   /**
@@ -130,10 +299,17 @@ export class CalibrationUI {
       })
     }
 
+    if (this.config.keyboardControls) {
+      document.addEventListener('keydown', this.keyHandler)
+    }
+
     // Show canvas
     this.canvas.style.display = 'block'
     
-    // Start animation
+    // Start animation; a recalibration from the review is already animating
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame)
+    }
     this.animate()
   }
 
@@ -161,14 +337,18 @@ export class CalibrationUI {
     this.ctx.fillStyle = this.config.backgroundColor
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
 
-    // Draw current calibration point
-    if (this.currentPointIndex >= 0 && this.currentPointIndex < this.calibrationPoints.length) {
+    // Draw the review, current calibration point, or the pause notice instead
+    if (this.reviewResult) {
+      this.drawReview(this.reviewResult)
+    } else if (this.isPaused) {
+      this.drawPaused()
+    } else if (this.currentPointIndex >= 0 && this.currentPointIndex < this.calibrationPoints.length) {
       const point = this.calibrationPoints[this.currentPointIndex]
       this.drawCalibrationPoint(point)
     }
 
     // Draw minimal instructions if enabled
-    if (this.config.showInstructions) {
+    if (this.config.showInstructions && !this.reviewResult) {
       this.drawMinimalInstructions()
     }
 
@@ -177,52 +357,70 @@ export class CalibrationUI {
   }
 
   /**
-   * Draw calibration point with animation
+   * Draw calibration point with the configured target renderer
    */
   private drawCalibrationPoint(point: CalibrationPoint): void {
     if (!this.ctx || !this.canvas) return
+    this.renderer.draw(this.ctx, this.targetState(point))
+  }
 
-    const x = point.x * this.canvas.width
-    const y = point.y * this.canvas.height
-    
-    // Animated pulsing effect
-    const time = Date.now() / 1000
-    const pulse = Math.sin(time * 3) * 0.2 + 0.8
-    const size = this.config.pointSize * pulse
-
-    // Draw outer ring
-    this.ctx.beginPath()
-    this.ctx.arc(x, y, size + 10, 0, Math.PI * 2)
-    this.ctx.strokeStyle = this.config.pointColor
-    this.ctx.lineWidth = 2
-    this.ctx.stroke()
-
-    // Draw main point
-    this.ctx.beginPath()
-    this.ctx.arc(x, y, size, 0, Math.PI * 2)
-    this.ctx.fillStyle = this.config.pointColor
-    this.ctx.fill()
-
-    // Draw center dot
-    this.ctx.beginPath()
-    this.ctx.arc(x, y, 3, 0, Math.PI * 2)
-    this.ctx.fillStyle = 'white'
-    this.ctx.fill()
-
-    // Draw progress indicator
-    const progress = (this.currentPointIndex + 1) / this.calibrationPoints.length
-    this.ctx.beginPath()
-    this.ctx.arc(x, y, size + 20, -Math.PI / 2, -Math.PI / 2 + (Math.PI * 2 * progress), false)
-    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)'
-    this.ctx.lineWidth = 3
-    this.ctx.stroke()
+  /**
+   * Where and how far along the current point is, for the renderer
+   */
+  private targetState(point: CalibrationPoint): TargetState {
+    const now = performance.now()
+    const timing = this.tracker.getCalibrationTiming()
+    const { x, y } = this.toCanvas(point)
+    return {
+      x,
+      y,
+      index: this.currentPointIndex,
+      total: this.calibrationPoints.length,
+      elapsed: now - this.pointShownAt,
+      // Settled modes can accept from minDuration on
+      duration: timing.acceptance === 'fixed' ? timing.pointDuration : timing.minDuration,
+      acceptedFor: this.pointAcceptedAt === null ? null : now - this.pointAcceptedAt
+    }
+  }
+
+  /**
+   * Normalized screen coordinates to canvas px
+   * Points and gaze are in screen space, so outside fullscreen they are placed through the mapper
+   */
+  private toCanvas(point: Point2D): Point2D {
+    if (!this.canvas) return { x: NaN, y: NaN }
+    return this.tracker.getCoordinateMapper().screenToCanvas(point, this.canvas)
+  }
+
+  /**
+   * Restart the target's animation for a newly shown point
+   */
+  private pointShown(): void {
+    this.pointShownAt = performance.now()
+    this.pointAcceptedAt = null
+  }
+
+  /**
+   * Build the target renderer; built-ins default to pointSize and pointColor
+   */
+  private createRenderer(): CalibrationTargetRenderer {
+    // Built-in configs carry a type; anything else is a renderer
+    const config = this.config.target as CalibrationTargetConfig
+    if (typeof config.type !== 'string') {
+      return this.config.target as CalibrationTargetRenderer
+    }
+    return createCalibrationTarget({
+      ...config,
+      size: config.size ?? this.config.pointSize,
+      color: config.color ?? this.config.pointColor
+    })
   }
 
   /**
    * Draw minimal instructions (just progress)
    */
   private drawMinimalInstructions(): void {
-    if (!this.ctx || !this.canvas) return
+    if (!this.ctx || !this.canvas || this.isDriftCheck) return
 
     const progress = `${this.currentPointIndex + 1} / ${this.calibrationPoints.length}`
 
@@ -233,12 +431,176 @@ export class CalibrationUI {
     this.ctx.textBaseline = 'bottom'
     this.ctx.fillText(progress, this.canvas.width / 2, this.canvas.height - 20)
     
-    // Draw escape instruction at top
-    this.ctx.font = '12px Arial'
-    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)'
+    // Draw operator keys at top
+    if (this.config.keyboardControls) {
+      this.ctx.font = '12px Arial'
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)'
+      this.ctx.textAlign = 'center'
+      this.ctx.textBaseline = 'top'
+      this.ctx.fillText('Space: accept point · Backspace: restart point · P: pause · Esc: cancel', this.canvas.width / 2, 20)
+    }
+  }
+
+  /**
+   * Draw the pause notice in place of the point
+   */
+  private drawPaused(): void {
+    if (!this.ctx || !this.canvas) return
+
+    this.ctx.font = '24px Arial'
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
     this.ctx.textAlign = 'center'
-    this.ctx.textBaseline = 'top'
-    this.ctx.fillText('Press ESC or Stop button to cancel calibration', this.canvas.width / 2, 20)
+    this.ctx.textBaseline = 'middle'
+    this.ctx.fillText('Paused', this.canvas.width / 2, this.canvas.height / 2)
+
+    if (this.config.keyboardControls) {
+      this.ctx.font = '14px Arial'
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)'
+      this.ctx.fillText('Press P to resume', this.canvas.width / 2, this.canvas.height / 2 + 30)
+    }
+  }
+
+  /**
+   * Accept the reviewed calibration or calibrate again
+   * The device cannot redo single points, so a failed point means a full recalibration
+   */
+  private reviewAction(action: ReviewButton['action']): void {
+    if (!this.reviewResult) return
+
+    this.endReview()
+    if (action === 'accept') {
+      // calibrationComplete then hides the UI
+      this.tracker.acceptCalibration()
+      return
+    }
+
+    this.tracker.startCalibration().catch(err => {
+      this.tracker.emit('error', err as Error)
+      this.hide()
+    })
+  }
+
+  /**
+   * Leave the review
+   */
+  private endReview(): void {
+    this.reviewResult = null
+    this.canvas?.removeEventListener('click', this.reviewClickHandler)
+  }
+
+  /**
+   * Whether a point is within the review threshold; null when it was not measured
+   */
+  private reviewPassed(point: CalibrationPoint): boolean | null {
+    if (this.config.reviewMaxErrorDeg !== null && point.errorDeg !== undefined) {
+      return point.errorDeg <= this.config.reviewMaxErrorDeg
+    }
+    if (point.error === undefined) return null
+    return point.error <= this.config.reviewMaxError
+  }
+
+  /**
+   * Draw every target with the gaze samples recorded while it was collected, the error
+   * vector and pass/fail colour, plus the accept/recalibrate buttons
+   */
+  private drawReview(result: CalibrationResult): void {
+    if (!this.ctx || !this.canvas) return
+    const ctx = this.ctx
+    const width = this.canvas.width
+    const height = this.canvas.height
+
+    result.points.forEach(point => {
+      const passed = this.reviewPassed(point)
+      const color = passed === null ? '#9E9E9E' : passed ? '#4CAF50' : '#F44336'
+      const { x, y } = this.toCanvas(point)
+
+      // Sample cloud
+      ctx.fillStyle = color
+      ctx.globalAlpha = 0.35
+      for (const s of point.samples ?? []) {
+        const sample = this.toCanvas(s)
+        ctx.beginPath()
+        ctx.arc(sample.x, sample.y, 2, 0, Math.PI * 2)
+        ctx.fill()
+      }
+      ctx.globalAlpha = 1
+
+      // Error vector from the target to the mean gaze
+      if (point.gaze) {
+        const gaze = this.toCanvas(point.gaze)
+        ctx.beginPath()
+        ctx.moveTo(x, y)
+        ctx.lineTo(gaze.x, gaze.y)
+        ctx.strokeStyle = color
+        ctx.lineWidth = 2
+        ctx.stroke()
+
+        ctx.beginPath()
+        ctx.arc(gaze.x, gaze.y, 4, 0, Math.PI * 2)
+        ctx.fillStyle = color
+        ctx.fill()
+      }
+
+      // Target
+      ctx.beginPath()
+      ctx.arc(x, y, 10, 0, Math.PI * 2)
+      ctx.strokeStyle = color
+      ctx.lineWidth = 2
+      ctx.stroke()
+
+      const label = point.errorDeg !== undefined
+        ? `${point.errorDeg.toFixed(2)}°`
+        : point.error !== undefined
+          ? `${(point.error * 100).toFixed(1)}%`
+          : 'no data'
+      ctx.font = '12px Arial'
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'top'
+      ctx.fillText(label, x, y + 22)
+    })
+
+    // Summary at top; the samples went through the mapping in use while collecting
+    const collection = result.collection
+    const summary = collection?.meanErrorDeg !== undefined
+      ? `gaze offset while collecting ${collection.meanErrorDeg.toFixed(2)}°`
+      : collection?.meanError !== undefined
+        ? `gaze offset while collecting ${(collection.meanError * 100).toFixed(1)}%`
+        : 'no gaze data'
+    ctx.font = '16px Arial'
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+    ctx.fillText(`Calibration ${result.success ? 'complete' : 'failed'} - ${summary}`, width / 2, 20)
+
+    if (this.config.keyboardControls) {
+      ctx.font = '12px Arial'
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.4)'
+      ctx.fillText('Enter: accept · R: recalibrate · Esc: cancel', width / 2, 44)
+    }
+
+    // Buttons at bottom
+    const labels: Array<[ReviewButton['action'], string]> = [
+      ['accept', 'Accept'],
+      ['recalibrate', 'Recalibrate']
+    ]
+    const buttonWidth = 160
+    const buttonHeight = 36
+    const gap = 16
+    let left = (width - (labels.length * buttonWidth + (labels.length - 1) * gap)) / 2
+    const top = height - buttonHeight - 30
+    this.reviewButtons = labels.map(([action, text]) => {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)'
+      ctx.fillRect(left, top, buttonWidth, buttonHeight)
+      ctx.font = '14px Arial'
+      ctx.fillStyle = 'white'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(text, left + buttonWidth / 2, top + buttonHeight / 2)
+
+      const button = { action, x: left, y: top, width: buttonWidth, height: buttonHeight }
+      left += buttonWidth + gap
+      return button
+    })
   }
 
   /**
@@ -253,6 +615,8 @@ export class CalibrationUI {
    */
   hide(): void {
     this.isVisible = false
+    this.endReview()
+    document.removeEventListener('keydown', this.keyHandler)
     
     // Cancel animation
     if (this.animationFrame) {
@@ -299,9 +663,32 @@ export class CalibrationUI {
    */
   updateConfig(config: Partial<CalibrationUIConfig>): void {
     Object.assign(this.config, config)
+    this.applyTiming(config)
+    if (config.target || config.pointSize !== undefined || config.pointColor !== undefined) {
+      this.renderer = this.createRenderer()
+    }
+    if (config.keyboardControls === false) {
+      document.removeEventListener('keydown', this.keyHandler)
+    } else if (config.keyboardControls && this.isVisible) {
+      document.addEventListener('keydown', this.keyHandler)
+    }
     if (config.canvas) {
       this.setCanvas(config.canvas)
     }
+    if (config.showReview !== undefined) {
+      this.tracker.setCalibrationReview(config.showReview)
+    }
+  }
+
+  /**
+   * Forward point timing options to the tracker, which sends the point commands
+   */
+  private applyTiming(config: Partial<CalibrationUIConfig>): void {
+    const timing: CalibrationTimingConfig = {}
+    if (config.pointDuration !== undefined) timing.pointDuration = config.pointDuration
+    if (config.pointAcceptance !== undefined) timing.acceptance = config.pointAcceptance
+    if (config.maxPointDuration !== undefined) timing.maxDuration = config.maxPointDuration
+    this.tracker.setCalibrationTiming(timing)
   }
 
   /**
@@ -317,6 +704,20 @@ export class CalibrationUI {
    */
   destroy(): void {
     this.hide()
+    this.tracker.off('calibrationStarted', this.startedHandler)
+    this.tracker.off('calibrationProgress', this.progressHandler)
+    this.tracker.off('calibrationPointSent', this.pointSentHandler)
+    this.tracker.off('calibrationReview', this.reviewHandler)
+    this.tracker.off('calibrationComplete', this.endHandler)
+    this.tracker.off('calibrationCancelled', this.endHandler)
+    this.tracker.off('calibrationPaused', this.pausedHandler)
+    this.tracker.off('calibrationResumed', this.resumedHandler)
+    this.tracker.off('driftCheckStarted', this.driftCheckHandler)
+    this.tracker.off('driftCheckComplete', this.endHandler)
+    this.tracker.off('driftCheckCancelled', this.endHandler)
+    if (this.config.showReview) {
+      this.tracker.setCalibrationReview(false)
+    }
     this.canvas = null
     this.ctx = null
   }
@@ -4,7 +4,7 @@
  */
 
 import { EyeTracker } from './EyeTracker'
-import { GazeData, DeviceStatus } from './types'
+import { GazeData, DeviceStatus, Point2D } from './types'
 
 export interface CanvasRendererConfig {
   canvas?: HTMLCanvasElement | string
@@ -18,6 +18,7 @@ export interface CanvasRendererConfig {
   clearOnStop?: boolean
   calibrationPointRadius?: number
   calibrationPointColor?: string
+  coordinateSpace?: 'screen' | 'canvas'   // 'screen': canvas covers the screen; 'canvas': map gaze onto the canvas where it sits in the page
 }
 
 export class CanvasRenderer {
@@ -46,17 +47,12 @@ export class CanvasRenderer {
       showHeatmap: config?.showHeatmap ?? false,
       clearOnStop: config?.clearOnStop ?? true,
       calibrationPointRadius: config?.calibrationPointRadius ?? 20,
-      calibrationPointColor: config?.calibrationPointColor ?? 'rgba(0, 255, 0, 0.8)'
+      calibrationPointColor: config?.calibrationPointColor ?? 'rgba(0, 255, 0, 0.8)',
+      coordinateSpace: config?.coordinateSpace ?? 'screen'
     }
 
-    // Default 5-point calibration pattern
-    this.calibrationPoints = [
-      { x: 0.1, y: 0.1 },  // Top-left
-      { x: 0.9, y: 0.1 },  // Top-right  
-      { x: 0.5, y: 0.5 },  // Center
-      { x: 0.1, y: 0.9 },  // Bottom-left
-      { x: 0.9, y: 0.9 }   // Bottom-right
-    ]
+    // Calibration pattern comes from the tracker
+    this.calibrationPoints = this.tracker.getCalibrationPoints()
 
     // Initialize canvas if provided
     if (this.config.canvas) {
@@ -114,6 +110,7 @@ export class CanvasRenderer {
 
     // Listen for calibration events
     this.tracker.on('calibrationStarted', () => {
+      this.calibrationPoints = this.tracker.getCalibrationPoints()
       this.showCalibrationPoints = true
       this.currentCalibrationIndex = 0
     })
@@ -187,8 +184,7 @@ export class CanvasRenderer {
   drawGazePoint(gazeData: GazeData): void {
     if (!this.ctx || !this.canvas) return
 
-    const x = gazeData.x * this.canvas.width
-    const y = gazeData.y * this.canvas.height
+    const { x, y } = this.toCanvas(gazeData)
 
     // Draw gaze point
     this.ctx.beginPath()
@@ -199,6 +195,16 @@ export class CanvasRenderer {
     // No confidence ring needed - removed
   }
 
+  /**
+   * Normalized screen coordinates to canvas px
+   */
+  private toCanvas(point: Point2D): Point2D {
+    if (this.config.coordinateSpace === 'canvas') {
+      return this.tracker.getCoordinateMapper().screenToCanvas(point, this.canvas!)
+    }
+    return { x: point.x * this.canvas!.width, y: point.y * this.canvas!.height }
+  }
+
   /**
    * Draw gaze trail
    */
@@ -209,10 +215,8 @@ export class CanvasRenderer {
       const current = this.gazeTrail[i]
       const next = this.gazeTrail[i + 1]
       
-      const x1 = current.x * this.canvas.width
-      const y1 = current.y * this.canvas.height
-      const x2 = next.x * this.canvas.width
-      const y2 = next.y * this.canvas.height
+      const { x: x1, y: y1 } = this.toCanvas(current)
+      const { x: x2, y: y2 } = this.toCanvas(next)
 
       // Calculate opacity based on position in trail
       let opacity = 1
@@ -243,8 +247,7 @@ export class CanvasRenderer {
     if (!this.ctx || !this.canvas) return
 
     this.calibrationPoints.forEach((point, index) => {
-      const x = point.x * this.canvas!.width
-      const y = point.y * this.canvas!.height
+      const { x, y } = this.toCanvas(point)
 
       // Draw outer circle
       this.ctx!.beginPath()
@@ -281,6 +284,7 @@ export class CanvasRenderer {
    * Show specific calibration point
    */
   showCalibrationPoint(index: number): void {
+    this.calibrationPoints = this.tracker.getCalibrationPoints()
     this.currentCalibrationIndex = index
     this.showCalibrationPoints = true
     this.render()
@@ -0,0 +1,224 @@
+/**
+ * Device-to-host clock synchronization
+ * NTP-style round-trip probes over getCurrTimeStamp, keeping the
+ * lowest-RTT probe of each round and fitting drift across rounds
+ */
+
+import { GazeData, ClockSyncConfig, ClockSyncEstimate } from './types'
+
+interface OffsetSample {
+  hostTime: number   // Host time (performance.now()) at the probe midpoint
+  offset: number     // Device minus host, in ms
+  rtt: number
+}
+
+export class ClockSync {
+  private probe: () => Promise<number>
+  private onSync: (estimate: ClockSyncEstimate) => void
+  private config: Required<ClockSyncConfig>
+  private history: OffsetSample[] = []
+  private estimate: ClockSyncEstimate | null = null
+  private resyncTimer: ReturnType<typeof setInterval> | null = null
+  private syncing: Promise<ClockSyncEstimate> | null = null
+
+  /**
+   * @param probe - Requests the device clock, resolving with the raw device timestamp
+   * @param config - Probe and drift settings
+   * @param onSync - Called with every new estimate
+   */
+  constructor(
+    probe: () => Promise<number>,
+    config?: ClockSyncConfig,
+    onSync?: (estimate: ClockSyncEstimate) => void
+  ) {
+    this.probe = probe
+    this.onSync = onSync ?? (() => {})
+
+    this.config = {
+      enabled: config?.enabled ?? false,
+      probes: config?.probes ?? 10,
+      probeInterval: config?.probeInterval ?? 50,
+      resyncInterval: config?.resyncInterval ?? 60000,
+      deviceTimeScale: config?.deviceTimeScale ?? 1,
+      historySize: config?.historySize ?? 10
+    }
+  }
+
+  /**
+   * Whether sync should start automatically on connect
+   */
+  get enabled(): boolean {
+    return this.config.enabled
+  }
+
+  /**
+   * Run one round of probes and update the estimate
+   * Concurrent calls share the round already in progress
+   */
+  sync(): Promise<ClockSyncEstimate> {
+    if (!this.syncing) {
+      this.syncing = this.runRound().finally(() => {
+        this.syncing = null
+      })
+    }
+    return this.syncing
+  }
+
+  /**
+   * Sync now and then every resyncInterval ms
+   */
+  start(): void {
+    this.stop()
+    this.sync().catch(() => {})
+
+    if (this.config.resyncInterval > 0) {
+      this.resyncTimer = setInterval(() => {
+        this.sync().catch(() => {})
+      }, this.config.resyncInterval)
+    }
+  }
+
+  /**
+   * Stop periodic re-sync
+   */
+  stop(): void {
+    if (this.resyncTimer) {
+      clearInterval(this.resyncTimer)
+      this.resyncTimer = null
+    }
+  }
+
+  /**
+   * Discard all offset history
+   */
+  reset(): void {
+    this.history = []
+    this.estimate = null
+  }
+
+  /**
+   * Latest estimate, or null before the first successful sync
+   */
+  getEstimate(): ClockSyncEstimate | null {
+    return this.estimate ? { ...this.estimate } : null
+  }
+
+  /**
+   * Estimated one-way host/device latency in ms (half the best RTT)
+   */
+  getLatency(): number | null {
+    return this.estimate ? this.estimate.rtt / 2 : null
+  }
+
+  /**
+   * Convert a host time (performance.now() base) to device clock units
+   */
+  hostToDevice(hostTime: number): number | null {
+    if (!this.estimate) return null
+    return (hostTime + this.offsetAt(hostTime)) * this.config.deviceTimeScale
+  }
+
+  /**
+   * Convert a device timestamp to host time (performance.now() base)
+   */
+  deviceToHost(deviceTime: number): number | null {
+    if (!this.estimate) return null
+    const deviceMs = deviceTime / this.config.deviceTimeScale
+    // offset(t) = offset + drift * (t - hostTime), solved for t
+    const { offset, drift, hostTime } = this.estimate
+    return (deviceMs - offset + drift * hostTime) / (1 + drift)
+  }
+
+  /**
+   * Attach latency and corrected timestamps to a sample
+   * sample.timestamp is the arrival time; capture is assumed one latency earlier
+   */
+  annotate(sample: GazeData): void {
+    if (!this.estimate) return
+
+    const latency = this.estimate.rtt / 2
+    sample.latency = latency
+    sample.correctedTimestamp = sample.timestamp - latency
+    sample.deviceTimestamp = this.hostToDevice(sample.correctedTimestamp)!
+  }
+
+  /**
+   * Probe up to `probes` times and keep the lowest-RTT probe
+   * Replies carry no probe id, so a lost probe ends the round: its late reply
+   * would otherwise be taken for the next probe's, with a far too short RTT
+   */
+  private async runRound(): Promise<ClockSyncEstimate> {
+    let best: OffsetSample | null = null
+
+    for (let i = 0; i < this.config.probes; i++) {
+      if (i > 0 && this.config.probeInterval > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.config.probeInterval))
+      }
+
+      try {
+        const sent = performance.now()
+        const deviceTime = await this.probe()
+        const received = performance.now()
+
+        const rtt = received - sent
+        const hostTime = sent + rtt / 2
+        const offset = deviceTime / this.config.deviceTimeScale - hostTime
+
+        if (!best || rtt < best.rtt) {
+          best = { hostTime, offset, rtt }
+        }
+      } catch (error) {
+        // The probes before this one still count; the round fails only if it was the first
+        break
+      }
+    }
+
+    if (!best) {
+      throw new Error('Clock sync failed: no probe received a reply')
+    }
+
+    this.history.push(best)
+    if (this.history.length > this.config.historySize) {
+      this.history.shift()
+    }
+
+    this.estimate = {
+      offset: best.offset,
+      drift: this.fitDrift(),
+      rtt: best.rtt,
+      hostTime: best.hostTime,
+      rounds: this.history.length
+    }
+
+    this.onSync({ ...this.estimate })
+    return { ...this.estimate }
+  }
+
+  /**
+   * Offset (device minus host, ms) extrapolated to a host time
+   */
+  private offsetAt(hostTime: number): number {
+    const { offset, drift, hostTime: reference } = this.estimate!
+    return offset + drift * (hostTime - reference)
+  }
+
+  /**
+   * Least-squares slope of offset over host time (ms per ms)
+   */
+  private fitDrift(): number {
+    const n = this.history.length
+    if (n < 2) return 0
+
+    const meanT = this.history.reduce((sum, s) => sum + s.hostTime, 0) / n
+    const meanO = this.history.reduce((sum, s) => sum + s.offset, 0) / n
+
+    let covariance = 0
+    let variance = 0
+    this.history.forEach(s => {
+      covariance += (s.hostTime - meanT) * (s.offset - meanO)
+      variance += (s.hostTime - meanT) * (s.hostTime - meanT)
+    })
+
+    return variance > 0 ? covariance / variance : 0
+  }
+}
\ No newline at end of file
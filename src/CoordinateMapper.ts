@@ -0,0 +1,183 @@
+/**
+ * Coordinate spaces
+ * Maps gaze between normalized screen coordinates (the device's space), the
+ * browser viewport and page in CSS px, and the box of any element.
+ * The browser window is assumed to be on the tracked screen.
+ */
+
+import { CoordinateMappingConfig, Point2D } from './types'
+import { ScreenGeometry } from './ScreenGeometry'
+
+/**
+ * Browser zoom levels; an estimate within ZOOM_SNAP (relative) of one is rounded to it
+ */
+const ZOOM_LEVELS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5]
+const ZOOM_SNAP = 0.03
+
+export class CoordinateMapper {
+  private geometry: ScreenGeometry
+  private config: CoordinateMappingConfig
+
+  constructor(geometry: ScreenGeometry, config?: CoordinateMappingConfig) {
+    this.geometry = geometry
+    this.config = { ...config }
+  }
+
+  /**
+   * Current mapping settings
+   */
+  getConfig(): CoordinateMappingConfig {
+    return { ...this.config }
+  }
+
+  /**
+   * Update mapping settings; pass undefined to go back to estimating a value
+   */
+  updateConfig(config: CoordinateMappingConfig): void {
+    Object.assign(this.config, config)
+  }
+
+  /**
+   * Page zoom in screen px per viewport CSS px
+   * The configured zoom, else devicePixelRatio against its value at 100%: baseDevicePixelRatio,
+   * or the devicePixelRatio configured in the screen geometry. Without either it is
+   * estimated from the window size (estimateZoom()). Pinch zoom is applied separately
+   */
+  getZoom(): number {
+    if (this.config.zoom) return this.config.zoom
+    const base = this.config.baseDevicePixelRatio ||
+      (this.geometry.hasDevicePixelRatio() ? this.geometry.getConfig().devicePixelRatio : 0)
+    if (base) {
+      return window.devicePixelRatio / base
+    }
+    return this.estimateZoom()
+  }
+
+  /**
+   * Zoom from the outer (screen px) and inner (CSS px) window width, snapped to the browser zoom levels
+   * Assumes the window has no side borders and nothing is docked beside the page:
+   * a developer console or side panel narrows the inner width and inflates the estimate
+   */
+  private estimateZoom(): number {
+    if (!window.outerWidth || !window.innerWidth) return 1
+
+    const ratio = window.outerWidth / window.innerWidth
+    const level = ZOOM_LEVELS.reduce((best, z) => Math.abs(z - ratio) < Math.abs(best - ratio) ? z : best)
+    return Math.abs(level - ratio) / level <= ZOOM_SNAP ? level : ratio
+  }
+
+  /**
+   * Top-left of the viewport in screen px
+   * The window position plus the browser chrome: side borders split the width
+   * difference evenly, and everything else above the viewport is toolbars
+   */
+  getViewportOrigin(): Point2D {
+    if (this.config.viewportOrigin) return { ...this.config.viewportOrigin }
+
+    const zoom = this.getZoom()
+    const border = Math.max(0, (window.outerWidth - window.innerWidth * zoom) / 2)
+    const top = Math.max(0, window.outerHeight - window.innerHeight * zoom - border)
+    return { x: window.screenX + border, y: window.screenY + top }
+  }
+
+  /**
+   * Pinch zoom: scale of the visual viewport and its offset in the layout viewport (CSS px)
+   */
+  getPinchZoom(): { scale: number; offset: Point2D } {
+    const visual = window.visualViewport
+    if (!visual || !visual.scale) return { scale: 1, offset: { x: 0, y: 0 } }
+    return { scale: visual.scale, offset: { x: visual.offsetLeft, y: visual.offsetTop } }
+  }
+
+  /**
+   * Normalized screen coordinates to viewport CSS px
+   */
+  screenToViewport(point: Point2D): Point2D {
+    const { widthPx, heightPx } = this.geometry.getConfig()
+    const origin = this.getViewportOrigin()
+    const zoom = this.getZoom()
+    const pinch = this.getPinchZoom()
+    return {
+      x: (point.x * widthPx - origin.x) / zoom / pinch.scale + pinch.offset.x,
+      y: (point.y * heightPx - origin.y) / zoom / pinch.scale + pinch.offset.y
+    }
+  }
+
+  /**
+   * Viewport CSS px to normalized screen coordinates
+   */
+  viewportToScreen(point: Point2D): Point2D {
+    const { widthPx, heightPx } = this.geometry.getConfig()
+    const origin = this.getViewportOrigin()
+    const zoom = this.getZoom()
+    const pinch = this.getPinchZoom()
+    return {
+      x: ((point.x - pinch.offset.x) * pinch.scale * zoom + origin.x) / widthPx,
+      y: ((point.y - pinch.offset.y) * pinch.scale * zoom + origin.y) / heightPx
+    }
+  }
+
+  /**
+   * Viewport CSS px to page CSS px (adds the scroll offset)
+   */
+  viewportToPage(point: Point2D): Point2D {
+    return { x: point.x + window.scrollX, y: point.y + window.scrollY }
+  }
+
+  /**
+   * Page CSS px to viewport CSS px
+   */
+  pageToViewport(point: Point2D): Point2D {
+    return { x: point.x - window.scrollX, y: point.y - window.scrollY }
+  }
+
+  /**
+   * Normalized screen coordinates to page CSS px
+   */
+  screenToPage(point: Point2D): Point2D {
+    return this.viewportToPage(this.screenToViewport(point))
+  }
+
+  /**
+   * Normalized screen coordinates to CSS px from an element's top-left corner
+   * @param normalized Return 0-1 of the element's box instead of px
+   */
+  screenToElement(point: Point2D, element: Element, normalized: boolean = false): Point2D {
+    const viewport = this.screenToViewport(point)
+    const rect = element.getBoundingClientRect()
+    const x = viewport.x - rect.left
+    const y = viewport.y - rect.top
+    return normalized ? { x: x / rect.width, y: y / rect.height } : { x, y }
+  }
+
+  /**
+   * Element CSS px (or 0-1 of its box when normalized) to normalized screen coordinates
+   */
+  elementToScreen(point: Point2D, element: Element, normalized: boolean = false): Point2D {
+    const rect = element.getBoundingClientRect()
+    return this.viewportToScreen({
+      x: rect.left + (normalized ? point.x * rect.width : point.x),
+      y: rect.top + (normalized ? point.y * rect.height : point.y)
+    })
+  }
+
+  /**
+   * Normalized screen coordinates to a canvas's drawing px
+   * Scales by the backing store size, so canvases sized for devicePixelRatio map correctly
+   */
+  screenToCanvas(point: Point2D, canvas: HTMLCanvasElement): Point2D {
+    const rect = canvas.getBoundingClientRect()
+    if (rect.width === 0 || rect.height === 0) return { x: NaN, y: NaN }
+    const local = this.screenToElement(point, canvas, true)
+    return { x: local.x * canvas.width, y: local.y * canvas.height }
+  }
+
+  /**
+   * Whether a normalized screen point falls inside the viewport
+   */
+  isInViewport(point: Point2D): boolean {
+    const viewport = this.screenToViewport(point)
+    return viewport.x >= 0 && viewport.x <= window.innerWidth &&
+           viewport.y >= 0 && viewport.y <= window.innerHeight
+  }
+}
\ No newline at end of file
@@ -5,13 +5,50 @@
 
 import { EventEmitter } from './EventEmitter'
 import { DataBuffer } from './DataBuffer'
+import { ClockSync } from './ClockSync'
+import { BlinkDetector } from './BlinkDetector'
+import { GazeFilterPipeline } from './GazeFilters'
+import { SettleDetector } from './SettleDetector'
+import { ACCURACY_ZERO_ERROR, measurePoint, summarizeQuality } from './CalibrationQuality'
+import { ScreenGeometry } from './ScreenGeometry'
+import { CoordinateMapper } from './CoordinateMapper'
+import { correctionPairs, createGazeCorrection, deserializeGazeCorrection } from './GazeCorrection'
 import {
   GazeData,
   CalibrationResult,
   DeviceStatus,
   CoreConfig,
   EventMap,
-  TrackerOutput
+  TrackerOutput,
+  EndpointFailure,
+  DeviceReply,
+  DeviceReplyMap,
+  DeviceProfile,
+  DeviceInfo,
+  EyeType,
+  ClockSyncEstimate,
+  EyeInfo,
+  EyeSample,
+  SightLine,
+  GazeFilter,
+  GazeFilterConfig,
+  CalibrationPattern,
+  CalibrationState,
+  CalibrationTimingConfig,
+  CalibrationPoint,
+  ValidationConfig,
+  ValidationResult,
+  ScreenGeometryConfig,
+  CoordinateMappingConfig,
+  CalibrationSnapshot,
+  RestoreCalibrationOptions,
+  VerifyCalibrationOptions,
+  CalibrationVerification,
+  DriftCheckConfig,
+  DriftCheckResult,
+  GazeCorrectionModel,
+  GazeCorrectionType,
+  SerializedGazeCorrection
 } from './types'
 
 /**
@@ -19,14 +56,7 @@ import {
  * All commands are pre-defined to avoid dynamic construction
  */
 const COMMANDS = {
-  // Device initialization
-  INIT_ET10C: {
-    "req_cmd": "init_et10c",
-    "eyeType": 0,
-    "resType": "1640x1232x60", // 60hz
-    "numpoint": 5,
-    "sceenTypeIndex": 1  // Note: typo preserved from HH
-  },
+  // Device initialization is built by createInitCommand from the device profile
   
   // IR Light control - removed, will be dynamic
   
@@ -71,6 +101,182 @@ const COMMANDS = {
   }
 } as const
 
+/**
+ * Extract a reply value from a decoded device message
+ * Returns undefined when the message doesn't carry that reply
+ */
+const readReply = <K extends DeviceReply>(message: any, reply: K): DeviceReplyMap[K] | undefined => {
+  const value = message[reply]
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+  switch (reply) {
+    case 'currTimeStamp':
+    case 'nFinishedNum':
+      return Number(value) as DeviceReplyMap[K]
+    case 'statusCode':
+      return String(value) as DeviceReplyMap[K]
+    case 'cablicFinished':
+      return (value ? true : undefined) as DeviceReplyMap[K] | undefined
+  }
+  return undefined
+}
+
+/**
+ * Convert one eye of a TrackerOutput into an EyeSample
+ */
+const createEyeSample = (
+  haveEyeInfo: boolean,
+  haveScreenPoint: boolean,
+  eyeInfo?: EyeInfo,
+  screenPoint?: { f32X: number; f32Y: number },
+  sightLine?: SightLine
+): EyeSample => {
+  const sample: EyeSample = {
+    valid: !!haveEyeInfo,
+    screenPointValid: !!haveScreenPoint
+  }
+
+  if (screenPoint) {
+    sample.screenPoint = { x: screenPoint.f32X, y: screenPoint.f32Y }
+  }
+
+  if (haveEyeInfo && eyeInfo) {
+    sample.pupil = {
+      width: eyeInfo.f32PupilWidth,
+      height: eyeInfo.f32PupilHeight,
+      angle: eyeInfo.f32PupilAngle
+    }
+    if (eyeInfo.tPupilCenter) {
+      sample.pupilCenter = { x: eyeInfo.tPupilCenter.f32X, y: eyeInfo.tPupilCenter.f32Y }
+    }
+    if (eyeInfo.aPurkinje) {
+      sample.glints = eyeInfo.aPurkinje.map(p => ({ x: p.f32X, y: p.f32Y }))
+    }
+    if (eyeInfo.tBbox) {
+      sample.bbox = {
+        left: eyeInfo.tBbox.n32Left,
+        top: eyeInfo.tBbox.n32Top,
+        width: eyeInfo.tBbox.n32Width,
+        height: eyeInfo.tBbox.n32Height
+      }
+    }
+  }
+
+  if (sightLine) {
+    const { tCorneaCenter, tDirection } = sightLine
+    sample.corneaCenter = { x: tCorneaCenter.f32X, y: tCorneaCenter.f32Y, z: tCorneaCenter.f32Z }
+    sample.gazeDirection = { x: tDirection.f32X, y: tDirection.f32Y, z: tDirection.f32Z }
+  }
+
+  return sample
+}
+
+/**
+ * Status code the device sends when no hardware is attached
+ */
+const STATUS_DEVICE_NOT_CONNECTED = '5001'
+
+/**
+ * Upper bound on commands held while the socket is still opening
+ */
+const MAX_QUEUED_COMMANDS = 100
+
+/**
+ * Resolve after ms milliseconds
+ */
+const wait = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms))
+
+interface PendingRequest {
+  reply: DeviceReply
+  command: string
+  resolve: (value: any) => void
+  reject: (error: Error) => void
+  timer: ReturnType<typeof setTimeout>
+}
+
+/**
+ * Built-in calibration patterns in normalized [0,1] screen coordinates
+ * Points are presented in array order
+ */
+export const CALIBRATION_PATTERNS: Record<5 | 9 | 13, ReadonlyArray<{ x: number; y: number }>> = {
+  // Same as raw example
+  5: [
+    { x: 0.1, y: 0.1 },  // Point 0: Top-left
+    { x: 0.9, y: 0.1 },  // Point 1: Top-right
+    { x: 0.5, y: 0.5 },  // Point 2: Center
+    { x: 0.1, y: 0.9 },  // Point 3: Bottom-left
+    { x: 0.9, y: 0.9 }   // Point 4: Bottom-right
+  ],
+  // 3x3 grid, row by row
+  9: [
+    { x: 0.1, y: 0.1 }, { x: 0.5, y: 0.1 }, { x: 0.9, y: 0.1 },
+    { x: 0.1, y: 0.5 }, { x: 0.5, y: 0.5 }, { x: 0.9, y: 0.5 },
+    { x: 0.1, y: 0.9 }, { x: 0.5, y: 0.9 }, { x: 0.9, y: 0.9 }
+  ],
+  // 3x3 grid plus the four inner diagonal points
+  13: [
+    { x: 0.1, y: 0.1 }, { x: 0.5, y: 0.1 }, { x: 0.9, y: 0.1 },
+    { x: 0.3, y: 0.3 }, { x: 0.7, y: 0.3 },
+    { x: 0.1, y: 0.5 }, { x: 0.5, y: 0.5 }, { x: 0.9, y: 0.5 },
+    { x: 0.3, y: 0.7 }, { x: 0.7, y: 0.7 },
+    { x: 0.1, y: 0.9 }, { x: 0.5, y: 0.9 }, { x: 0.9, y: 0.9 }
+  ]
+}
+
+/**
+ * Resolve a calibration pattern to a list of points
+ */
+const resolveCalibrationPattern = (pattern: CalibrationPattern): Array<{ x: number; y: number }> => {
+  if (Array.isArray(pattern)) {
+    if (pattern.length === 0) {
+      throw new Error('Calibration pattern needs at least one point')
+    }
+    return pattern.map(p => ({ x: p.x, y: p.y }))
+  }
+  const builtIn = CALIBRATION_PATTERNS[pattern]
+  if (!builtIn) {
+    throw new Error(`No built-in ${pattern}-point calibration pattern (use 5, 9, 13 or a custom array)`)
+  }
+  return builtIn.map(p => ({ ...p }))
+}
+
+/**
+ * Format version of exported calibration snapshots
+ */
+export const CALIBRATION_SNAPSHOT_VERSION = 1
+
+/**
+ * Default device profile - matches the raw example's init_et10c
+ */
+const DEFAULT_DEVICE_PROFILE: Required<DeviceProfile> = {
+  eyeType: 'both',
+  resolution: '1640x1232',
+  frameRate: 60,
+  calibrationPoints: 5,
+  screenType: 1
+}
+
+/**
+ * HH eyeType codes
+ */
+const EYE_TYPE_CODES: Record<EyeType, number> = {
+  both: 0,
+  left: 1,
+  right: 2
+}
+
+/**
+ * Factory function for the device initialization command
+ */
+const createInitCommand = (profile: Required<DeviceProfile>) => ({
+  "req_cmd": "init_et10c",
+  "eyeType": EYE_TYPE_CODES[profile.eyeType],
+  "resType": `${profile.resolution}x${profile.frameRate}`,
+  "numpoint": profile.calibrationPoints,
+  "sceenTypeIndex": profile.screenType  // Note: typo preserved from HH
+})
+
 /**
  * Factory function for calibration point commands
  * These need to be dynamic due to varying x,y coordinates
@@ -95,9 +301,28 @@ export class EyeTracker extends EventEmitter<EventMap> {
   private status: DeviceStatus = DeviceStatus.DISCONNECTED
   private config: Required<CoreConfig>
   private dataBuffer: DataBuffer
-  private isCalibrating: boolean = false
-  private calibrationStep: number = 0
-  private calibrationFinished: boolean = false
+  private clockSync: ClockSync
+  private blinkDetector: BlinkDetector
+  private settleDetector: SettleDetector
+  private screenGeometry: ScreenGeometry
+  private coordinateMapper: CoordinateMapper
+  private calibrationSamples: GazeData[][] = []
+  private collectingPoint: number | null = null   // Point whose samples are being recorded
+  private pendingPoint: number | null = null      // Point shown but not yet sent to the device
+  private calibrationPaused: boolean = false
+  private calibrationReview: boolean = false       // Hold a successful calibration in 'reviewing' until accepted
+  private reviewedCalibration: CalibrationResult | null = null
+  private lastCalibrationResult: CalibrationResult | null = null
+  private calibratedAt: number | null = null
+  private targetSamples: GazeData[] | null = null   // Collector for the validation or drift-check target being measured
+  private measurementEpoch: number = 0              // Bumped to abandon a running validate() or driftCheck()
+  private activeMeasurement: 'validation' | 'driftCheck' | null = null
+  private lastValidationResult: ValidationResult | null = null
+  private gazeCorrection: GazeCorrectionModel | null = null          // Applied to gaze x/y after filtering
+  private driftCorrection: { x: number; y: number } | null = null   // Subtracted after the gaze correction
+  private filterPipeline: GazeFilterPipeline
+  private calibrationState: CalibrationState = 'idle'
+  private calibrationRun: number = 0   // Bumped to abandon the waits of a cancelled or replaced calibration
   private cameraEnabled: boolean = false
   private cameraFlipped: boolean = false
   private autoInitialize: boolean = true
@@ -105,29 +330,44 @@ export class EyeTracker extends EventEmitter<EventMap> {
   private isTracking: boolean = false
   private lastStatusCode: string | null = null
   private deviceConnected: boolean = false
+  private activeUrl: string | null = null
+  private preferredUrl: string | null = null
+  private endpointFailures: EndpointFailure[] = []
+  private isReconnecting: boolean = false
+  private cancelReconnectWait: (() => void) | null = null
+  private connectionEpoch: number = 0
+  private commandQueue: any[] = []
+  private pendingRequests: PendingRequest[] = []
   
-  // Calibration points - same as raw example
-  private calibrationPoints = [
-    { x: 0.1, y: 0.1 },  // Point 0: Top-left
-    { x: 0.9, y: 0.1 },  // Point 1: Top-right  
-    { x: 0.5, y: 0.5 },  // Point 2: Center
-    { x: 0.1, y: 0.9 },  // Point 3: Bottom-left
-    { x: 0.9, y: 0.9 }   // Point 4: Bottom-right
-  ]
+  // Calibration points - single source of truth for the UI components
+  private calibrationPoints: Array<{ x: number; y: number }>
 
   constructor(config?: CoreConfig) {
     super()
     
     this.config = {
       wsUrl: ['ws://127.0.0.1:9000', 'wss://127.0.0.1:8443'], // Default ws on 9000, fallback to wss on 8443
+      connectTimeout: 3000,  // Per-URL attempt timeout before moving to the next URL
+      commandTimeout: 5000,  // Wait for a matching device reply before rejecting
       reconnectAttempts: 0,
       reconnectDelay: 1000,
+      reconnectMaxDelay: 30000,
       bufferSize: 10000,
       autoConnect: false,
       autoInitialize: true,  // Auto-initialize device after connection
       initDelay: 500,        // Delay between init device and init light
       debug: false,
-      ...config
+      richSamples: false,
+      viewportSamples: false,
+      filters: [],
+      calibrationPoints: (config?.deviceProfile?.calibrationPoints as CalibrationPattern | undefined) ?? 5,
+      ...config,
+      deviceProfile: { ...DEFAULT_DEVICE_PROFILE, ...config?.deviceProfile },
+      clockSync: { ...config?.clockSync },
+      blinkDetection: { ...config?.blinkDetection },
+      calibrationTiming: { ...config?.calibrationTiming },
+      screen: { ...config?.screen },
+      coordinateMapping: { ...config?.coordinateMapping }
     }
 
     if (typeof this.config.wsUrl === 'string') {
@@ -136,6 +376,21 @@ export class EyeTracker extends EventEmitter<EventMap> {
 
     this.autoInitialize = this.config.autoInitialize ?? true
     this.dataBuffer = new DataBuffer(this.config.bufferSize)
+    this.clockSync = new ClockSync(
+      () => this.getCurrTimeStamp(),
+      this.config.clockSync,
+      (estimate) => this.emit('clockSynced', estimate)
+    )
+    this.blinkDetector = new BlinkDetector(
+      this.config.blinkDetection,
+      (event, data) => this.emit(event, data)
+    )
+    this.blinkDetector.setTrackedEyes(this.getDeviceProfile().eyeType)
+    this.filterPipeline = new GazeFilterPipeline(this.config.filters)
+    this.calibrationPoints = resolveCalibrationPattern(this.config.calibrationPoints)
+    this.settleDetector = new SettleDetector(this.config.calibrationTiming)
+    this.screenGeometry = new ScreenGeometry(this.config.screen)
+    this.coordinateMapper = new CoordinateMapper(this.screenGeometry, this.config.coordinateMapping)
   }
 
   private log(...args: any[]): void {
@@ -145,7 +400,8 @@ export class EyeTracker extends EventEmitter<EventMap> {
   }
 
   /**
-   * Connect to eye tracker - matches raw example exactly
+   * Connect to eye tracker
+   * Tries each configured URL in order (last working URL first) until one opens
    */
   async connect(): Promise<void> {
     if (this.websocket?.readyState === WebSocket.OPEN) {
@@ -153,54 +409,261 @@ export class EyeTracker extends EventEmitter<EventMap> {
     }
 
     this.setStatus(DeviceStatus.CONNECTING)
-    
+
+    try {
+      await this.openFirstAvailable()
+    } catch (error) {
+      this.failPendingCommands('Connection failed')
+      this.setStatus(DeviceStatus.ERROR)
+      this.emit('error', error as Error)
+      throw error
+    }
+  }
+
+  /**
+   * Walk the URL list and attach the first socket that opens
+   * Throws with a summary of every failed URL when none do
+   */
+  private async openFirstAvailable(): Promise<void> {
+    this.endpointFailures = []
+
+    for (const url of this.getOrderedUrls()) {
+      try {
+        this.log(`Connecting to ${url}...`)
+        const socket = await this.openSocket(url)
+        this.attachSocket(socket, url)
+        return
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : String(error)
+        this.log(`Failed to connect to ${url}: ${reason}`)
+        this.endpointFailures.push({ url, reason, timestamp: Date.now() })
+      }
+    }
+
+    const summary = this.endpointFailures.map(f => `${f.url} (${f.reason})`).join(', ')
+    throw new Error(`Unable to connect to eye tracker: ${summary}`)
+  }
+
+  /**
+   * Get configured URLs with the last working URL moved to the front
+   */
+  private getOrderedUrls(): string[] {
+    const urls = Array.isArray(this.config.wsUrl) ? this.config.wsUrl : [this.config.wsUrl]
+    if (this.preferredUrl && urls.includes(this.preferredUrl)) {
+      return [this.preferredUrl, ...urls.filter(url => url !== this.preferredUrl)]
+    }
+    return [...urls]
+  }
+
+  /**
+   * Open a single WebSocket, resolving once it is open
+   * Rejects on error, close or when connectTimeout elapses
+   */
+  private openSocket(url: string): Promise<WebSocket> {
     return new Promise((resolve, reject) => {
+      let socket: WebSocket
       try {
-        // Get the first URL from config (support array or string)
-        const wsUrl = Array.isArray(this.config.wsUrl) ? this.config.wsUrl[0] : this.config.wsUrl
-        this.log(`Connecting to ${wsUrl}...`)
-        this.websocket = new WebSocket(wsUrl)
-        
-        this.websocket.onopen = () => {
-          this.log('Connection established')
-          this.setStatus(DeviceStatus.CONNECTED)
-          
-          // Send stopCalibration to ensure device is in clean state
-          // This prevents getting stuck if device was in calibration mode
-          this.sendCommand(COMMANDS.STOP_CALIBRATION)
-          
-          this.emit('connected', undefined)
-          
-          // Auto-initialize device if enabled
-          if (this.autoInitialize && !this.isInitialized) {
-            this.autoInit()
+        socket = new WebSocket(url)
+      } catch (error) {
+        reject(error)
+        return
+      }
+
+      let settled = false
+      let timer: ReturnType<typeof setTimeout> | null = null
+
+      const finish = (error?: Error) => {
+        if (settled) return
+        settled = true
+        if (timer) clearTimeout(timer)
+        socket.onopen = null
+        socket.onerror = null
+        socket.onclose = null
+        if (error) {
+          socket.close()
+          reject(error)
+        } else {
+          resolve(socket)
+        }
+      }
+
+      timer = setTimeout(() => {
+        finish(new Error(`Timed out after ${this.config.connectTimeout}ms`))
+      }, this.config.connectTimeout)
+
+      socket.onopen = () => finish()
+      socket.onerror = () => finish(new Error('Connection error'))
+      socket.onclose = (event) => finish(new Error(`Connection closed (code ${event.code})`))
+    })
+  }
+
+  /**
+   * Adopt an open socket as the active connection - matches raw example onopen
+   */
+  private attachSocket(socket: WebSocket, url: string): void {
+    this.websocket = socket
+    this.activeUrl = url
+    this.preferredUrl = url
+
+    socket.onmessage = (event) => {
+      this.handleMessage(event.data)
+    }
+
+    socket.onerror = (event) => {
+      // Don't reject - just log like raw example
+      this.log('WebSocket error:', event)
+      this.emit('error', new Error('Connection error'))
+    }
+
+    socket.onclose = () => {
+      // disconnect() detaches the socket first, so a match here means the drop was unexpected
+      const unexpected = this.websocket === socket
+      this.log(unexpected ? 'Connection lost' : 'Disconnection')
+      this.activeUrl = null
+
+      if (unexpected) {
+        this.websocket = null
+        this.handleUnexpectedClose()
+      }
+
+      // Replies to in-flight requests won't arrive on a new socket
+      this.rejectPendingRequests('Connection closed')
+      this.clockSync.stop()
+
+      this.setStatus(DeviceStatus.DISCONNECTED)
+      this.emit('disconnected', undefined)
+
+      if (unexpected && this.config.reconnectAttempts > 0) {
+        this.reconnect()
+      }
+    }
+
+    this.log(`Connection established to ${url}`)
+    this.setStatus(DeviceStatus.CONNECTED)
+
+    // Send stopCalibration to ensure device is in clean state
+    // This prevents getting stuck if device was in calibration mode
+    this.sendCommand(COMMANDS.STOP_CALIBRATION)
+    this.flushCommandQueue()
+
+    this.emit('connected', undefined)
+    this.emit('endpointSelected', { url, failures: [...this.endpointFailures] })
+
+    // Offsets measured on an earlier connection may be against another device session's clock
+    this.clockSync.reset()
+    if (this.clockSync.enabled) {
+      this.clockSync.start()
+    }
+
+    // Auto-initialize device if enabled (reconnect() runs its own init)
+    if (this.autoInitialize && !this.isInitialized && !this.isReconnecting) {
+      this.autoInit()
+    }
+  }
+
+  /**
+   * Reset per-connection state after the socket dropped on its own
+   * Tracking and camera flags are kept for reconnect() to restore
+   */
+  private handleUnexpectedClose(): void {
+    if (this.isCalibrationInProgress() || this.calibrationState === 'reviewing') {
+      this.abandonCalibration()
+      this.setCalibrationState('cancelled')
+      this.emit('calibrationCancelled', undefined)
+    }
+    this.cancelValidation()
+    this.cancelDriftCheck()
+    this.deviceConnected = false
+  }
+
+  /**
+   * Reconnect with exponential backoff and jitter
+   * Re-runs device initialization and restores camera and tracking state
+   */
+  private async reconnect(): Promise<void> {
+    if (this.isReconnecting) return
+
+    const epoch = this.connectionEpoch
+    const maxAttempts = this.config.reconnectAttempts
+    const wasInitialized = this.isInitialized
+    const restoreCamera = this.cameraEnabled
+    const restoreTracking = this.isTracking
+
+    this.isReconnecting = true
+    this.isInitialized = false
+    this.cameraEnabled = false
+    this.isTracking = false
+
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const delay = this.getReconnectDelay(attempt)
+        this.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${attempt}/${maxAttempts})`)
+        this.emit('reconnecting', { attempt, maxAttempts, delay })
+
+        await new Promise<void>(resolve => {
+          const timer = setTimeout(resolve, delay)
+          this.cancelReconnectWait = () => {
+            clearTimeout(timer)
+            resolve()
           }
-          
-          resolve()
+        })
+        this.cancelReconnectWait = null
+
+        // disconnect() was called while waiting
+        if (epoch !== this.connectionEpoch) return
+
+        this.setStatus(DeviceStatus.CONNECTING)
+        try {
+          await this.openFirstAvailable()
+        } catch (error) {
+          if (epoch !== this.connectionEpoch) return
+          this.setStatus(DeviceStatus.DISCONNECTED)
+          continue
         }
-        
-        this.websocket.onmessage = (event) => {
-          this.handleMessage(event.data)
+
+        // disconnect() was called while the socket was opening
+        if (epoch !== this.connectionEpoch) {
+          this.disconnect()
+          return
         }
-        
-        this.websocket.onerror = (event) => {
-          // Don't reject - just log like raw example
-          this.log('WebSocket error:', event)
-          this.emit('error', new Error('Connection error'))
-          // Don't set ERROR status or reject - let it try to connect
+
+        const socket = this.websocket
+        if (wasInitialized || this.autoInitialize) {
+          await this.autoInit()
         }
-        
-        this.websocket.onclose = (event) => {
-          this.log('Disconnection')
-          this.setStatus(DeviceStatus.DISCONNECTED)
-          this.emit('disconnected', undefined)
-          // Don't reject on close - the raw example doesn't fail here
+        if (epoch !== this.connectionEpoch) return
+
+        // The new socket dropped during init; its close handler leaves the retry to this loop
+        if (this.websocket !== socket) {
+          this.isInitialized = false
+          continue
         }
-      } catch (error) {
-        this.setStatus(DeviceStatus.ERROR)
-        reject(error)
+        if (restoreCamera) {
+          this.initCamera()
+        }
+        if (restoreTracking) {
+          this.startTracking().catch(err => this.emit('error', err as Error))
+        }
+
+        this.emit('reconnected', { attempt, url: this.activeUrl! })
+        return
       }
-    })
+
+      this.failPendingCommands('Reconnect failed')
+      this.emit('error', new Error(`Reconnect failed after ${maxAttempts} attempts`))
+    } finally {
+      this.isReconnecting = false
+    }
+  }
+
+  /**
+   * Backoff delay for a 1-based attempt: base * 2^(attempt-1), capped,
+   * then scaled by a random factor in [0.5, 1) so clients don't retry in lockstep
+   */
+  private getReconnectDelay(attempt: number): number {
+    const exponential = this.config.reconnectDelay * Math.pow(2, attempt - 1)
+    const capped = Math.min(exponential, this.config.reconnectMaxDelay)
+    return capped * (0.5 + Math.random() * 0.5)
   }
 
   /**
@@ -227,8 +690,9 @@ export class EyeTracker extends EventEmitter<EventMap> {
   /**
    * Initialize device - matches raw example initDevice()
    * @param requestFullscreen - Whether to request fullscreen (default: true)
+   * @returns Resolves with the device status code, rejects if no device is attached
    */
-  initDevice(requestFullscreen: boolean = true): void {
+  initDevice(requestFullscreen: boolean = true): Promise<string> {
     // Request fullscreen like raw example
     if (requestFullscreen) {
       const element = document.documentElement
@@ -244,12 +708,168 @@ export class EyeTracker extends EventEmitter<EventMap> {
     }
 
     // Send init command using constant
-    this.sendCommand(COMMANDS.INIT_ET10C)
+    const reply = this.request(createInitCommand(this.getDeviceProfile()), 'statusCode')
     
     // Mark as initialized if called manually
     if (!this.autoInitialize) {
       this.isInitialized = true
     }
+
+    return reply
+  }
+
+  /**
+   * Turn full per-eye data (GazeData.eyes) on or off for new samples
+   */
+  setRichSamples(enabled: boolean): void {
+    this.config.richSamples = enabled
+  }
+
+  /**
+   * Whether new samples carry full per-eye data
+   */
+  isRichSamplesEnabled(): boolean {
+    return this.config.richSamples
+  }
+
+  /**
+   * Replace the gaze smoothing filters (empty array disables filtering)
+   */
+  setFilters(filters: Array<GazeFilterConfig | GazeFilter>): void {
+    this.config.filters = filters
+    this.filterPipeline.setFilters(filters)
+  }
+
+  /**
+   * Get the gaze filter pipeline
+   */
+  getFilterPipeline(): GazeFilterPipeline {
+    return this.filterPipeline
+  }
+
+  /**
+   * Get the device profile used by initDevice()
+   */
+  getDeviceProfile(): Required<DeviceProfile> {
+    return {
+      ...DEFAULT_DEVICE_PROFILE,
+      ...this.config.deviceProfile,
+      // numpoint always follows the calibration pattern
+      calibrationPoints: this.calibrationPoints?.length ?? DEFAULT_DEVICE_PROFILE.calibrationPoints
+    }
+  }
+
+  /**
+   * Update the device profile
+   * Takes effect the next time initDevice() is called; a changed point count is sent right away
+   * @returns Resolves once the device has accepted the point count, rejects if it didn't
+   */
+  async setDeviceProfile(profile: DeviceProfile): Promise<void> {
+    const { calibrationPoints, ...rest } = profile
+    this.config.deviceProfile = { ...this.config.deviceProfile, ...rest }
+    this.blinkDetector.setTrackedEyes(this.getDeviceProfile().eyeType)
+    if (calibrationPoints !== undefined) {
+      await this.setCalibrationPoints(calibrationPoints as CalibrationPattern)
+    }
+  }
+
+  /**
+   * Get the screen geometry used for mm and degree conversions
+   */
+  getScreenGeometry(): ScreenGeometry {
+    return this.screenGeometry
+  }
+
+  /**
+   * Update the physical screen size, resolution or viewing distance
+   */
+  setScreenGeometry(screen: ScreenGeometryConfig): void {
+    this.screenGeometry.updateConfig(screen)
+    this.config.screen = this.screenGeometry.getConfig()
+  }
+
+  /**
+   * Get the mapper between screen, viewport, page and element coordinates
+   */
+  getCoordinateMapper(): CoordinateMapper {
+    return this.coordinateMapper
+  }
+
+  /**
+   * Override the page zoom or viewport position used for viewport coordinates
+   */
+  setCoordinateMapping(mapping: CoordinateMappingConfig): void {
+    this.coordinateMapper.updateConfig(mapping)
+    this.config.coordinateMapping = this.coordinateMapper.getConfig()
+  }
+
+  /**
+   * Attach viewport and page px to every gaze sample
+   */
+  setViewportSamples(enabled: boolean): void {
+    this.config.viewportSamples = enabled
+  }
+
+  /**
+   * Hold each successful calibration in the 'reviewing' state (calibrationReview event)
+   * until acceptCalibration(), instead of completing it straight away
+   */
+  setCalibrationReview(enabled: boolean): void {
+    this.calibrationReview = enabled
+  }
+
+  /**
+   * Get when calibration point commands are sent
+   */
+  getCalibrationTiming(): Required<CalibrationTimingConfig> {
+    return this.settleDetector.getConfig()
+  }
+
+  /**
+   * Set the per-point dwell, or wait for gaze ('gaze') or eye position ('head')
+   * to settle before each point is sent; applies from the next point
+   */
+  setCalibrationTiming(timing: CalibrationTimingConfig): void {
+    this.settleDetector.updateConfig(timing)
+    this.config.calibrationTiming = this.settleDetector.getConfig()
+  }
+
+  /**
+   * Get the calibration target positions (normalized [0,1]) in presentation order
+   */
+  getCalibrationPoints(): Array<{ x: number; y: number }> {
+    return this.calibrationPoints.map(p => ({ ...p }))
+  }
+
+  /**
+   * Change the calibration pattern
+   * If the device is already initialized with a different point count,
+   * the init command is re-sent so numpoint matches.
+   * @returns Resolves once the device has replied to that init command
+   */
+  async setCalibrationPoints(pattern: CalibrationPattern): Promise<void> {
+    if (this.isCalibrationInProgress()) {
+      throw new Error('Cannot change calibration points during calibration')
+    }
+
+    const previousCount = this.calibrationPoints.length
+    this.calibrationPoints = resolveCalibrationPattern(pattern)
+    this.config.calibrationPoints = pattern
+
+    if (this.isInitialized && this.isConnected() && previousCount !== this.calibrationPoints.length) {
+      await this.request(createInitCommand(this.getDeviceProfile()), 'statusCode')
+    }
+  }
+
+  /**
+   * Get device information derived from the active profile
+   */
+  getDeviceInfo(): DeviceInfo {
+    return {
+      provider: 'HH',
+      model: 'ET10C',
+      samplingRate: this.getDeviceProfile().frameRate
+    }
   }
 
   /**
@@ -298,32 +918,58 @@ export class EyeTracker extends EventEmitter<EventMap> {
       throw new Error('Not connected')
     }
 
-    this.isCalibrating = true
-    this.calibrationStep = 0
+    this.abandonCalibration()
+    this.calibrationSamples = this.calibrationPoints.map(() => [])
+    // Corrections are fitted against a calibration, so a new one starts uncorrected
+    this.gazeCorrection = null
+    this.driftCorrection = null
 
     this.setStatus(DeviceStatus.CALIBRATING)
-    this.emit('calibrationStarted', { points: 5 })
+    this.setCalibrationState('presenting')
+    const total = this.calibrationPoints.length
+    this.emit('calibrationStarted', { points: total })
 
     // Show first calibration point immediately (matches raw line 446)
     // The UI will display the first point (0-based index)
     this.emit('calibrationProgress', {
       current: 0,  // 0-based for display
-      total: 5
+      total
     })
 
-    // Wait 3 seconds for user to look at the point (matches raw line 447)
-    await this.delay(3000)
-
-    // Then send the calibration command (matches raw line 449-450)
-    const firstPoint = this.calibrationPoints[0]
-    this.sendCommand(createCalibrationCommand(firstPoint.x, firstPoint.y))
+    // Wait for the user to look at the point (raw line 447 waits a fixed 3s),
+    // then send the calibration command (matches raw line 449-450)
+    await this.sendCalibrationPointWhenReady(0)
   }
 
   /**
-   * Helper delay function matching raw example's delay/delay3s functions
+   * Wait out the point's dwell (or until gaze/head has settled), then send its command
    */
-  private delay(ms: number): Promise<void> {
-    return new Promise(resolve => setTimeout(resolve, ms))
+  private async sendCalibrationPointWhenReady(index: number): Promise<void> {
+    this.pendingPoint = index
+    this.setCalibrationState('presenting')
+    // While paused the point stays pending; resumeCalibration() starts its wait
+    if (this.calibrationPaused) return
+
+    const run = this.calibrationRun
+    const shownAt = performance.now()
+    const settled = await this.settleDetector.wait()
+    // Cancelled, restarted or paused while waiting
+    if (settled === null || run !== this.calibrationRun || this.calibrationState !== 'presenting' || this.calibrationPaused) return
+
+    const point = this.calibrationPoints[index]
+    this.pendingPoint = null
+    this.emit('calibrationPointSent', { index, waited: performance.now() - shownAt, settled })
+    // Samples are recorded from the command for collectDuration ms, or until the device reports the point finished
+    this.collectingPoint = index
+    this.setCalibrationState('collecting')
+    this.request(createCalibrationCommand(point.x, point.y), 'nFinishedNum')
+
+    // Still collecting unless the device already finished the point
+    await wait(this.settleDetector.getConfig().collectDuration)
+    if (run === this.calibrationRun && this.collectingPoint === index) {
+      this.collectingPoint = null
+      this.setCalibrationState('awaiting-device')
+    }
   }
 
   /**
@@ -348,49 +994,24 @@ export class EyeTracker extends EventEmitter<EventMap> {
 
       // Handle calibration progress - matches raw example line 313-335
       if (jsonIris.nFinishedNum !== undefined) {
-        this.log('Finish checked!', jsonIris.nFinishedNum)
-
-        // The sequence from raw example (lines 317-321):
-        // 1. movePoint() - show the next point position
-        // 2. delay3s() - wait for user to look at it
-        // 3. eyeCalibration() - send calibration command
-
-        // Emit progress for the NEXT point that will be shown
-        // jsonIris.nFinishedNum is 1-based: 1 means first point finished, show second point
-        if (jsonIris.nFinishedNum < 5) {
-          // Step 1: Show the next point immediately
-          this.emit('calibrationProgress', {
-            current: jsonIris.nFinishedNum,  // This becomes the index for the next point (0-based)
-            total: 5
-          })
-        }
-
-        // Step 2 & 3: Wait 3 seconds then send calibration command
-        // This is handled in sendNextCalibrationPoint
-        // Note: We don't await here because handleMessage can't be async
-        // The method internally handles the delay with setTimeout
-        this.sendNextCalibrationPoint(jsonIris.nFinishedNum)
-
-        if (jsonIris.nFinishedNum === 5) {
-          // Check calibration - matches raw example line 328-329
-          this.sendCommand(COMMANDS.CHECK_CALIBRATION)
-        }
+        this.handlePointFinished(jsonIris.nFinishedNum)
       }
 
       // Handle calibration finished - matches raw example line 336-341
-      if (jsonIris.cablicFinished) {
-        this.log('Calibration finished')
-        this.isCalibrating = false
-        this.calibrationFinished = true
+      if (jsonIris.cablicFinished !== undefined && this.calibrationState === 'checking') {
+        this.log('Calibration finished', jsonIris.cablicFinished)
+        this.collectingPoint = null
         
-        const result: CalibrationResult = {
-          success: true,
-          points: [],
-          accuracy: 0.95
+        const result = this.buildCalibrationResult(jsonIris)
+        if (result.success && this.calibrationReview) {
+          // Completes once the operator accepts it
+          this.reviewedCalibration = result
+          this.setCalibrationState('reviewing')
+          this.emit('calibrationReview', result)
+        } else {
+          this.completeCalibration(result)
         }
         
-        this.emit('calibrationComplete', result)
-        
         // Don't start tracking automatically - let user decide when to track
         // this.startTracking()
       }
@@ -398,6 +1019,21 @@ export class EyeTracker extends EventEmitter<EventMap> {
       // Handle tracking data - matches raw example line 342-379
       if (jsonIris.trakcerOutput) {
         const trakcerOutputData: TrackerOutput = this.parseTrackerOutput(jsonIris.trakcerOutput)
+        const receivedAt = performance.now()
+
+        if (this.calibrationState === 'presenting') {
+          this.settleDetector.process(trakcerOutputData, receivedAt)
+        }
+        this.screenGeometry.updateDistance(trakcerOutputData.tLeftSightLine, trakcerOutputData.tRightSightLine)
+
+        // Blink detection runs on every output, including ones without a gaze point
+        const blink = this.blinkDetector.process(trakcerOutputData, receivedAt)
+        if (blink) {
+          // Flag samples already buffered during the blink, plus the pupil-collapse lead-in
+          this.dataBuffer
+            .getTimeRange(blink.startTime - this.blinkDetector.flagPadding, blink.endTime)
+            .forEach(sample => { sample.blink = true })
+        }
         
         let alleyeLeft = 0
         let alleyeRight = 0
@@ -423,7 +1059,7 @@ export class EyeTracker extends EventEmitter<EventMap> {
           alleyeRight = alleyeRight / eyeCount
 
           const gazeData: GazeData = {
-            timestamp: performance.now(),  // High-resolution timestamp with microsecond precision
+            timestamp: receivedAt,  // High-resolution timestamp with microsecond precision
             x: alleyeLeft,  // Raw x coordinate
             y: alleyeRight  // Raw y coordinate
           }
@@ -442,6 +1078,55 @@ export class EyeTracker extends EventEmitter<EventMap> {
             }
           }
 
+          if (this.config.richSamples) {
+            gazeData.eyes = {
+              left: createEyeSample(
+                trakcerOutputData.haveLeftEyeInfo,
+                trakcerOutputData.haveLeftScreenPoint,
+                trakcerOutputData.tLeftEyeInfo,
+                trakcerOutputData.tLeftScreenPoint,
+                trakcerOutputData.tLeftSightLine
+              ),
+              right: createEyeSample(
+                trakcerOutputData.haveRightEyeInfo,
+                trakcerOutputData.haveRightScreenPoint,
+                trakcerOutputData.tRightEyeInfo,
+                trakcerOutputData.tRightScreenPoint,
+                trakcerOutputData.tRightSightLine
+              )
+            }
+          }
+
+          if (this.blinkDetector.isBlinking()) {
+            gazeData.blink = true
+          }
+
+          this.clockSync.annotate(gazeData)
+          this.filterPipeline.process(gazeData)
+
+          if (this.gazeCorrection) {
+            gazeData.raw = gazeData.raw ?? { x: gazeData.x, y: gazeData.y }
+            const corrected = this.gazeCorrection.apply(gazeData.x, gazeData.y)
+            gazeData.x = corrected.x
+            gazeData.y = corrected.y
+          }
+          if (this.driftCorrection) {
+            gazeData.raw = gazeData.raw ?? { x: gazeData.x, y: gazeData.y }
+            gazeData.x -= this.driftCorrection.x
+            gazeData.y -= this.driftCorrection.y
+          }
+          if (this.config.viewportSamples) {
+            gazeData.viewport = this.coordinateMapper.screenToViewport(gazeData)
+            gazeData.page = this.coordinateMapper.viewportToPage(gazeData.viewport)
+          }
+
+          if (this.calibrationState === 'collecting' && this.collectingPoint !== null) {
+            this.calibrationSamples[this.collectingPoint]?.push(gazeData)
+          }
+          if (this.targetSamples) {
+            this.targetSamples.push(gazeData)
+          }
+
           this.dataBuffer.add(gazeData)
           this.emit('gazeData', gazeData)
         }
@@ -467,7 +1152,7 @@ export class EyeTracker extends EventEmitter<EventMap> {
       // Handle status code - matches raw example line 389-392
       if (jsonIris.statusCode) {
         this.lastStatusCode = jsonIris.statusCode
-        if (jsonIris.statusCode === "5001") {
+        if (String(jsonIris.statusCode) === STATUS_DEVICE_NOT_CONNECTED) {
           this.deviceConnected = false
           this.setStatus(DeviceStatus.DISCONNECTED)
           this.emit('error', new Error('设备未接入'))
@@ -476,6 +1161,8 @@ export class EyeTracker extends EventEmitter<EventMap> {
         }
       }
 
+      this.resolvePendingRequests(jsonIris)
+
     } catch (error) {
       this.log('Error processing message:', error)
     }
@@ -506,32 +1193,178 @@ export class EyeTracker extends EventEmitter<EventMap> {
   }
 
   /**
-   * Send next calibration point - matches raw example eyeCalibration()
-   * finishedNum is 1-based (from device), matching the raw example
+   * Store a finished calibration and emit calibrationComplete
+   */
+  private completeCalibration(result: CalibrationResult): void {
+    this.reviewedCalibration = null
+    this.lastCalibrationResult = result
+    this.calibratedAt = Date.now()
+    // A new calibration invalidates the previous validation
+    this.lastValidationResult = null
+    this.setCalibrationState(result.success ? 'done' : 'failed')
+
+    this.emit('calibrationComplete', result)
+  }
+
+  /**
+   * Accept the calibration under review and complete it
+   */
+  acceptCalibration(): CalibrationResult {
+    const result = this.reviewedCalibration
+    if (this.calibrationState !== 'reviewing' || !result) {
+      throw new Error('No calibration is waiting for review')
+    }
+    this.completeCalibration(result)
+    return result
+  }
+
+  /**
+   * Per-point gaze recorded while each point was collected, summarized
+   * This is gaze through the previous mapping, so it is reported as collection, not accuracy
+   * Fields of the checkCabliration reply other than cablicFinished are passed through
+   */
+  private buildCalibrationResult(reply: any): CalibrationResult {
+    const points = this.calibrationPoints.map((target, i) =>
+      measurePoint(target, this.calibrationSamples[i] ?? [], this.screenGeometry)
+    )
+    const { cablicFinished, ...deviceReport } = reply
+    const collection = summarizeQuality(points)
+
+    const result: CalibrationResult = {
+      success: !!cablicFinished,
+      points,
+      collection
+    }
+    if (collection.meanError !== undefined) {
+      // Kept for existing consumers; derived from the measured error, not a fixed value
+      result.accuracy = Math.max(0, 1 - collection.meanError / ACCURACY_ZERO_ERROR)
+    }
+    if (Object.keys(deviceReport).length > 0) {
+      result.deviceReport = deviceReport
+    }
+    if (!cablicFinished) {
+      result.error = 'Device reported calibration failure'
+    }
+    return result
+  }
+
+  /**
+   * Result of the last completed calibration, or null
+   */
+  getLastCalibrationResult(): CalibrationResult | null {
+    return this.lastCalibrationResult
+  }
+
+  /**
+   * Export the finished calibration for reuse in a later session
+   * The snapshot is plain JSON, e.g. for localStorage or chrome.storage
+   */
+  exportCalibration(): CalibrationSnapshot {
+    const calibration = this.lastCalibrationResult
+    if (!calibration || !calibration.success || this.calibratedAt === null) {
+      throw new Error('No successful calibration to export')
+    }
+
+    const stripSamples = <T extends { points: CalibrationPoint[] }>(result: T): T => ({
+      ...result,
+      points: result.points.map(({ samples, ...point }) => point)
+    })
+
+    return {
+      version: CALIBRATION_SNAPSHOT_VERSION,
+      calibratedAt: this.calibratedAt,
+      exportedAt: Date.now(),
+      device: this.getDeviceInfo(),
+      deviceProfile: this.getDeviceProfile(),
+      calibrationPoints: this.getCalibrationPoints(),
+      calibration: stripSamples(calibration),
+      validation: this.lastValidationResult ? stripSamples(this.lastValidationResult) : null,
+      screen: this.screenGeometry.getConfig(),
+      gazeCorrection: this.gazeCorrection?.serialize() ?? null
+    }
+  }
+
+  /**
+   * Re-apply an exported calibration's profile, pattern and screen geometry
+   * The device keeps its own calibration; use verifyCalibration() to check
+   * that it still fits before relying on it
+   * @returns Resolves once the device has accepted the restored point count
+   */
+  async restoreCalibration(snapshot: CalibrationSnapshot, options?: RestoreCalibrationOptions): Promise<void> {
+    if (snapshot?.version !== CALIBRATION_SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported calibration snapshot version: ${snapshot?.version}`)
+    }
+    if (options?.maxAge !== undefined && Date.now() - snapshot.calibratedAt > options.maxAge) {
+      throw new Error('Calibration snapshot is too old')
+    }
+    if (this.isCalibrationInProgress() || this.calibrationState === 'reviewing') {
+      throw new Error('Cannot restore a calibration during calibration')
+    }
+
+    await this.setDeviceProfile(snapshot.deviceProfile)
+    await this.setCalibrationPoints(snapshot.calibrationPoints)
+    this.setScreenGeometry(snapshot.screen)
+
+    this.lastCalibrationResult = snapshot.calibration
+    this.lastValidationResult = snapshot.validation
+    this.calibratedAt = snapshot.calibratedAt
+    this.setCalibrationState('done')
+    this.setGazeCorrection(snapshot.gazeCorrection ?? null)
+  }
+
+  /**
+   * Quick validation against a restored (or the current) calibration
+   * Defaults to 5 targets shown for 1500 ms each, passing at a mean error of 0.05
+   */
+  async verifyCalibration(options?: VerifyCalibrationOptions): Promise<CalibrationVerification> {
+    const reference = this.lastValidationResult
+    const validation = await this.validate({
+      points: 5,
+      pointDuration: 1500,
+      ...options
+    })
+
+    const passed = options?.maxErrorDeg !== undefined && validation.meanErrorDeg !== undefined
+      ? validation.meanErrorDeg <= options.maxErrorDeg
+      : validation.meanError !== undefined && validation.meanError <= (options?.maxError ?? 0.05)
+
+    return { passed, validation, reference }
+  }
+
+  /**
+   * Device reported a point finished - matches raw example lines 313-335
+   * finishedNum is 1-based: 1 means the first point finished, show the second
    *
    * IMPORTANT: The sequence must be:
-   * 1. First show/move the point (via calibrationProgress event) - done in handleMessage
-   * 2. Wait for user to look at it (3 seconds)
+   * 1. First show/move the point (via calibrationProgress event)
+   * 2. Wait for user to look at it (calibrationTiming)
    * 3. Then send the calibration command
    */
-  private sendNextCalibrationPoint(finishedNum: number): void {
-    // finishedNum is 1-based: 1 means first point finished, now handle second point
-    // The calibrationProgress event has already been emitted in handleMessage
-    // which causes the UI to show the next point immediately
+  private handlePointFinished(finishedNum: number): void {
+    // Replies to a cancelled calibration's last command are dropped
+    if (this.calibrationState !== 'collecting' && this.calibrationState !== 'awaiting-device') {
+      this.log('Ignoring point finished outside calibration', finishedNum)
+      return
+    }
+    this.log('Finish checked!', finishedNum)
+    this.collectingPoint = null
 
-    if (finishedNum >= 1 && finishedNum <= 4) {
-      // Wait 3 seconds for user to look at the new point
-      // Using setTimeout instead of async/await because this is called from handleMessage
+    const total = this.calibrationPoints.length
+    if (finishedNum < total) {
+      // Show the next point immediately; finishedNum is its 0-based index
+      this.emit('calibrationProgress', { current: finishedNum, total })
+
+      // Not awaited because this is called from handleMessage,
       // which is a WebSocket event handler that can't be async
-      setTimeout(() => {
-        // Then send the calibration command for the current point
-        // finishedNum=1 means we're now on point index 1 (second point)
-        const point = this.calibrationPoints[finishedNum]
-        this.sendCommand(createCalibrationCommand(point.x, point.y))
-      }, 3000)
+      if (finishedNum >= 1) {
+        this.sendCalibrationPointWhenReady(finishedNum)
+      }
+      return
     }
-    // When finishedNum=5, calibration is complete
-    // checkCalibration command is sent in handleMessage
+
+    // Check calibration - matches raw example line 328-329
+    this.setCalibrationState('checking')
+    this.request(COMMANDS.CHECK_CALIBRATION, 'cablicFinished')
   }
 
   /**
@@ -582,30 +1415,342 @@ export class EyeTracker extends EventEmitter<EventMap> {
    * Cancel ongoing calibration
    */
   cancelCalibration(): void {
-    if (this.isCalibrating) {
-      this.isCalibrating = false
-      this.calibrationStep = 0
+    if (this.isCalibrationInProgress() || this.calibrationState === 'reviewing') {
+      this.abandonCalibration()
+      this.setCalibrationState('cancelled')
       this.setStatus(DeviceStatus.CONNECTED)
       this.emit('calibrationCancelled', undefined)
     }
   }
 
+  /**
+   * Hold the calibration on the current point
+   * A point already sent still finishes on the device; the next one waits for resumeCalibration()
+   */
+  pauseCalibration(): void {
+    if (!this.isCalibrationInProgress() || this.calibrationPaused) return
+    this.calibrationPaused = true
+    this.settleDetector.cancel()
+    this.emit('calibrationPaused', { index: this.pendingPoint })
+  }
+
+  /**
+   * Continue a paused calibration; the point shown gets its full dwell again
+   */
+  resumeCalibration(): void {
+    if (!this.isCalibrationInProgress() || !this.calibrationPaused) return
+    this.calibrationPaused = false
+    this.emit('calibrationResumed', { index: this.pendingPoint })
+    if (this.pendingPoint !== null) {
+      this.showCalibrationPoint(this.pendingPoint)
+    }
+  }
+
+  /**
+   * Whether the calibration is paused
+   */
+  isCalibrationPaused(): boolean {
+    return this.isCalibrationInProgress() && this.calibrationPaused
+  }
+
+  /**
+   * Send the point shown now instead of waiting out its dwell
+   * @returns false when no point is waiting or calibration is paused
+   */
+  acceptCalibrationPoint(): boolean {
+    if (!this.isCalibrationInProgress() || this.calibrationPaused || this.pendingPoint === null) return false
+    return this.settleDetector.accept()
+  }
+
+  /**
+   * Index of the point shown and not yet sent to the device, or null
+   */
+  getPendingCalibrationPoint(): number | null {
+    return this.isCalibrationInProgress() ? this.pendingPoint : null
+  }
+
+  /**
+   * Show the point waiting to be sent again and restart its dwell
+   * This is not a redo of a finished point: the device counts finished points and
+   * has no command to collect one of them again, so that needs restartCalibration()
+   * @throws when no point is waiting to be sent
+   */
+  restartCurrentPoint(): void {
+    if (!this.isCalibrationInProgress()) {
+      throw new Error('Not calibrating')
+    }
+    if (this.pendingPoint === null) {
+      throw new Error('No calibration point is waiting to be sent')
+    }
+    // A paused point is shown afresh by resumeCalibration()
+    if (!this.calibrationPaused) {
+      this.showCalibrationPoint(this.pendingPoint)
+    }
+  }
+
+  /**
+   * Re-show a pending point and start its wait from the beginning
+   */
+  private showCalibrationPoint(index: number): void {
+    this.emit('calibrationProgress', { current: index, total: this.calibrationPoints.length })
+    this.sendCalibrationPointWhenReady(index)
+  }
+
+  /**
+   * Measure accuracy and precision against known targets
+   * Shows each target in turn (validationProgress), discards the first settleTime ms
+   * and measures the rest of the samples. Tracking must be running.
+   */
+  async validate(config?: ValidationConfig): Promise<ValidationResult> {
+    if (!this.isConnected()) {
+      throw new Error('Not connected')
+    }
+    if (!this.isTracking) {
+      throw new Error('Tracking must be started before validation')
+    }
+    if (this.isCalibrationInProgress() || this.activeMeasurement) {
+      throw new Error('Calibration, validation or drift check already in progress')
+    }
+
+    const options: Required<ValidationConfig> = {
+      points: config?.points ?? 9,
+      pointDuration: config?.pointDuration ?? 2000,
+      settleTime: config?.settleTime ?? 500,
+      interPointDelay: config?.interPointDelay ?? 200
+    }
+    const targets = resolveCalibrationPattern(options.points)
+    const epoch = ++this.measurementEpoch
+
+    this.activeMeasurement = 'validation'
+    this.emit('validationStarted', { points: targets.map(p => ({ ...p })) })
+
+    const points: CalibrationPoint[] = []
+    try {
+      for (let i = 0; i < targets.length; i++) {
+        if (i > 0 && options.interPointDelay > 0) {
+          // current -1: no target shown between points
+          this.emit('validationProgress', { current: -1, total: targets.length })
+          await wait(options.interPointDelay)
+          if (epoch !== this.measurementEpoch) throw new Error('Validation cancelled')
+        }
+
+        this.emit('validationProgress', { current: i, total: targets.length })
+        const point = await this.measureTarget(targets[i], options.pointDuration, options.settleTime, epoch)
+        if (!point) throw new Error('Validation cancelled')
+        points.push(point)
+      }
+    } finally {
+      this.endMeasurement(epoch)
+    }
+
+    const result: ValidationResult = { points, ...summarizeQuality(points) }
+    this.lastValidationResult = result
+    this.emit('validationComplete', result)
+    return result
+  }
+
+  /**
+   * Abandon a running validate(); its promise rejects
+   */
+  cancelValidation(): void {
+    if (this.activeMeasurement !== 'validation') return
+    this.measurementEpoch++
+    this.endMeasurement(this.measurementEpoch)
+    this.emit('validationCancelled', undefined)
+  }
+
+  /**
+   * Result of the last completed validation, or null
+   */
+  getLastValidationResult(): ValidationResult | null {
+    return this.lastValidationResult
+  }
+
+  /**
+   * Measure drift at a single fixation target (driftCheckStarted shows it)
+   * Drift within maxOffset (or maxOffsetDeg) becomes an offset correction on
+   * later gazeData; larger drift, or too few samples, flags for recalibration
+   */
+  async driftCheck(config?: DriftCheckConfig): Promise<DriftCheckResult> {
+    if (!this.isConnected()) {
+      throw new Error('Not connected')
+    }
+    if (!this.isTracking) {
+      throw new Error('Tracking must be started before a drift check')
+    }
+    if (this.isCalibrationInProgress() || this.activeMeasurement) {
+      throw new Error('Calibration, validation or drift check already in progress')
+    }
+
+    const target = { x: config?.target?.x ?? 0.5, y: config?.target?.y ?? 0.5 }
+    const pointDuration = config?.pointDuration ?? 1500
+    const settleTime = config?.settleTime ?? 500
+    const epoch = ++this.measurementEpoch
+
+    this.activeMeasurement = 'driftCheck'
+    this.emit('driftCheckStarted', { target: { ...target } })
+
+    let point: CalibrationPoint | null
+    try {
+      point = await this.measureTarget(target, pointDuration, settleTime, epoch)
+      if (!point) throw new Error('Drift check cancelled')
+    } finally {
+      this.endMeasurement(epoch)
+    }
+
+    const result: DriftCheckResult = {
+      target,
+      point,
+      correction: this.getDriftCorrection(),
+      corrected: false,
+      needsRecalibration: true
+    }
+
+    if (point.gaze) {
+      // The samples were already shifted by the current correction
+      const previous = this.driftCorrection ?? { x: 0, y: 0 }
+      const offset = {
+        x: point.gaze.x - target.x + previous.x,
+        y: point.gaze.y - target.y + previous.y
+      }
+      result.offset = offset
+      result.offsetDistance = Math.hypot(offset.x, offset.y)
+      if (this.screenGeometry.isConfigured()) {
+        result.offsetDeg = this.screenGeometry.angleBetween(
+          { x: target.x + offset.x, y: target.y + offset.y },
+          target
+        )
+      }
+
+      result.needsRecalibration = config?.maxOffsetDeg !== undefined && result.offsetDeg !== undefined
+        ? result.offsetDeg > config.maxOffsetDeg
+        : result.offsetDistance > (config?.maxOffset ?? 0.05)
+
+      if (!result.needsRecalibration && (config?.applyCorrection ?? true)) {
+        this.driftCorrection = { ...offset }
+        result.correction = { ...offset }
+        result.corrected = true
+      }
+    }
+
+    this.emit('driftCheckComplete', result)
+    return result
+  }
+
+  /**
+   * Abandon a running driftCheck(); its promise rejects
+   */
+  cancelDriftCheck(): void {
+    if (this.activeMeasurement !== 'driftCheck') return
+    this.measurementEpoch++
+    this.endMeasurement(this.measurementEpoch)
+    this.emit('driftCheckCancelled', undefined)
+  }
+
+  /**
+   * Offset currently subtracted from gaze x/y, or null
+   * Per-eye leftEye/rightEye coordinates are not corrected
+   */
+  getDriftCorrection(): { x: number; y: number } | null {
+    return this.driftCorrection ? { ...this.driftCorrection } : null
+  }
+
+  /**
+   * Stop correcting gaze for drift
+   */
+  clearDriftCorrection(): void {
+    this.driftCorrection = null
+  }
+
+  /**
+   * Fit a client-side correction from validation samples and apply it to later gazeData
+   * Removes systematic offsets the device calibration leaves (e.g. at the corners)
+   * without recalibrating; run validate() again to measure the corrected gaze
+   * @param model 'polynomial' (2nd order, 6+ targets), 'affine' (3+ targets) or a custom model
+   * @param validation Defaults to the last validation result
+   */
+  fitGazeCorrection(
+    model: GazeCorrectionType | GazeCorrectionModel = 'polynomial',
+    validation: ValidationResult | null = this.lastValidationResult
+  ): GazeCorrectionModel {
+    if (!validation) {
+      throw new Error('No validation result to fit a gaze correction from')
+    }
+
+    const correction = typeof model === 'string' ? createGazeCorrection(model) : model
+    correction.fit(correctionPairs(validation.points))
+    this.setGazeCorrection(correction)
+    return correction
+  }
+
+  /**
+   * Replace the gaze correction; accepts a model or serialize() output, null removes it
+   */
+  setGazeCorrection(model: GazeCorrectionModel | SerializedGazeCorrection | null): void {
+    this.gazeCorrection = model === null || isGazeCorrectionModel(model)
+      ? model
+      : deserializeGazeCorrection(model)
+    // Drift was measured through the previous correction
+    this.driftCorrection = null
+  }
+
+  /**
+   * Gaze correction currently applied, or null
+   */
+  getGazeCorrection(): GazeCorrectionModel | null {
+    return this.gazeCorrection
+  }
+
+  /**
+   * Show one target: discard the first settleTime ms, then measure until pointDuration
+   * @returns null when the measurement was abandoned
+   */
+  private async measureTarget(
+    target: { x: number; y: number },
+    pointDuration: number,
+    settleTime: number,
+    epoch: number
+  ): Promise<CalibrationPoint | null> {
+    await wait(settleTime)
+    if (epoch !== this.measurementEpoch) return null
+
+    this.targetSamples = []
+    await wait(Math.max(0, pointDuration - settleTime))
+    if (epoch !== this.measurementEpoch) return null
+
+    const point = measurePoint(target, this.targetSamples, this.screenGeometry)
+    this.targetSamples = null
+    return point
+  }
+
+  /**
+   * Release the measurement state, unless a newer measurement owns it
+   */
+  private endMeasurement(epoch: number): void {
+    if (epoch !== this.measurementEpoch) return
+    this.targetSamples = null
+    this.activeMeasurement = null
+  }
+
   /**
    * Start tracking - matches raw example starteyeTracer()
+   * State changes only once the device confirms; a rejected request leaves it as it was
    */
-  startTracking(): void {
-    this.sendCommand(COMMANDS.START_TRACKER)
-    this.setStatus(DeviceStatus.TRACKING)
+  async startTracking(): Promise<string> {
+    const reply = await this.request(COMMANDS.START_TRACKER, 'statusCode')
     this.isTracking = true
+    this.setStatus(DeviceStatus.TRACKING)
+    return reply
   }
 
   /**
-   * Stop tracking
+   * Stop tracking - state changes only once the device confirms
    */
-  stopTracking(): void {
-    this.sendCommand(COMMANDS.STOP_TRACKER)
-    this.setStatus(DeviceStatus.CONNECTED)
+  async stopTracking(): Promise<string> {
+    const reply = await this.request(COMMANDS.STOP_TRACKER, 'statusCode')
     this.isTracking = false
+    this.setStatus(DeviceStatus.CONNECTED)
+    return reply
   }
 
   /**
@@ -626,40 +1771,58 @@ export class EyeTracker extends EventEmitter<EventMap> {
     this.emit('cameraFlipped', undefined)
   }
 
+  /**
+   * Run one clock sync round now
+   * @returns Resolves with the new offset/drift/latency estimate
+   */
+  syncClock(): Promise<ClockSyncEstimate> {
+    return this.clockSync.sync()
+  }
+
+  /**
+   * Get the clock sync service (for conversions between device and host time)
+   */
+  getClockSync(): ClockSync {
+    return this.clockSync
+  }
+
   /**
    * Get current timestamp from device
+   * @returns Resolves with the device timestamp
    */
-  getCurrTimeStamp(): void {
-    this.sendCommand(COMMANDS.GET_CURR_TIMESTAMP)
+  getCurrTimeStamp(): Promise<number> {
+    return this.request(COMMANDS.GET_CURR_TIMESTAMP, 'currTimeStamp')
   }
 
   /**
-   * Stop calibration
+   * Stop calibration; does nothing when no calibration is running or under review
    */
   stopCalibration(): void {
+    if (!this.isCalibrationInProgress() && this.calibrationState !== 'reviewing') return
     this.sendCommand(COMMANDS.STOP_CALIBRATION)
-    this.isCalibrating = false
-    this.calibrationFinished = false
+    this.abandonCalibration()
+    this.setCalibrationState('cancelled')
     this.emit('calibrationCancelled', undefined)
     this.setStatus(DeviceStatus.CONNECTED)
   }
 
   /**
-   * Restart calibration
+   * Restart calibration from the first point
+   * The device drops the points collected so far, then every point is shown
+   * and sent again as in startCalibration()
    */
-  restartCalibration(): void {
+  async restartCalibration(): Promise<void> {
     this.sendCommand(COMMANDS.RESTART_CALIBRATION)
-    this.isCalibrating = true
-    this.calibrationStep = 0
-    this.calibrationFinished = false
     this.emit('calibrationRestarted', undefined)
-    this.setStatus(DeviceStatus.CALIBRATING)
+    await this.startCalibration()
   }
 
   /**
    * Send command - matches raw example Base64 encoding
+   * Commands issued while the socket is still opening are queued and sent on open
+   * @returns false if the command was dropped because there is no connection
    */
-  private sendCommand(command: any): void {
+  private sendCommand(command: any): boolean {
     if (this.websocket?.readyState === WebSocket.OPEN) {
       // Use btoa for Base64 encoding like raw example
       const decodedCmd = btoa(JSON.stringify(command))
@@ -670,7 +1833,107 @@ export class EyeTracker extends EventEmitter<EventMap> {
       if (command.req_cmd === 'startCamera') {
         this.log('Full camera command sent:', JSON.stringify(command))
       }
+      return true
+    }
+
+    if (this.status === DeviceStatus.CONNECTING || this.isReconnecting) {
+      if (this.commandQueue.length >= MAX_QUEUED_COMMANDS) {
+        this.log('Command queue full, dropping oldest:', this.commandQueue[0].req_cmd)
+        this.commandQueue.shift()
+      }
+      this.commandQueue.push(command)
+      this.log('Queued command until connected:', command.req_cmd)
+      return true
     }
+
+    this.log('Not connected, dropping command:', command.req_cmd)
+    return false
+  }
+
+  /**
+   * Send a command and wait for the matching device reply
+   * The device has no request ids, so replies are matched to the oldest
+   * pending request waiting on the same reply field.
+   * A no-op catch is attached so fire-and-forget callers don't see
+   * unhandled rejections; awaiting callers still receive the error.
+   */
+  private request<K extends DeviceReply>(
+    command: any,
+    reply: K,
+    timeout: number = this.config.commandTimeout
+  ): Promise<DeviceReplyMap[K]> {
+    const promise = new Promise<DeviceReplyMap[K]>((resolve, reject) => {
+      if (!this.sendCommand(command)) {
+        reject(new Error(`Not connected, cannot send ${command.req_cmd}`))
+        return
+      }
+
+      const pending: PendingRequest = {
+        reply,
+        command: command.req_cmd,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.pendingRequests = this.pendingRequests.filter(p => p !== pending)
+          reject(new Error(`Timed out waiting for ${reply} reply to ${command.req_cmd}`))
+        }, timeout)
+      }
+      this.pendingRequests.push(pending)
+    })
+
+    promise.catch(() => {})
+    return promise
+  }
+
+  /**
+   * Resolve the oldest pending request for each reply field in a message
+   */
+  private resolvePendingRequests(message: any): void {
+    const replies = new Set(this.pendingRequests.map(p => p.reply))
+
+    replies.forEach(reply => {
+      const value = readReply(message, reply)
+      if (value === undefined) return
+
+      const index = this.pendingRequests.findIndex(p => p.reply === reply)
+      const [pending] = this.pendingRequests.splice(index, 1)
+      clearTimeout(pending.timer)
+
+      if (reply === 'statusCode' && value === STATUS_DEVICE_NOT_CONNECTED) {
+        pending.reject(new Error('设备未接入'))
+      } else {
+        pending.resolve(value)
+      }
+    })
+  }
+
+  /**
+   * Send commands that were queued before the socket opened
+   */
+  private flushCommandQueue(): void {
+    const queued = this.commandQueue
+    this.commandQueue = []
+    queued.forEach(command => this.sendCommand(command))
+  }
+
+  /**
+   * Reject all requests still waiting on a reply
+   */
+  private rejectPendingRequests(reason: string): void {
+    const pending = this.pendingRequests
+    this.pendingRequests = []
+    pending.forEach(p => {
+      clearTimeout(p.timer)
+      p.reject(new Error(`${reason} before ${p.reply} reply to ${p.command}`))
+    })
+  }
+
+  /**
+   * Drop queued commands and reject their requests
+   */
+  private failPendingCommands(reason: string): void {
+    this.commandQueue = []
+    this.rejectPendingRequests(reason)
   }
 
   /**
@@ -683,38 +1946,76 @@ export class EyeTracker extends EventEmitter<EventMap> {
     }
   }
 
+  /**
+   * Move the calibration flow to a new state and emit calibrationStateChanged
+   */
+  private setCalibrationState(state: CalibrationState): void {
+    if (this.calibrationState !== state) {
+      const previous = this.calibrationState
+      this.calibrationState = state
+      this.emit('calibrationStateChanged', { state, previous })
+    }
+  }
+
+  /**
+   * Drop the waits and pending point of the current calibration run, so its
+   * timers can no longer send point commands
+   */
+  private abandonCalibration(): void {
+    this.calibrationRun++
+    this.settleDetector.cancel()
+    this.collectingPoint = null
+    this.pendingPoint = null
+    this.calibrationPaused = false
+    this.reviewedCalibration = null
+  }
+
   /**
    * Disconnect
    */
   disconnect(): void {
-    // Turn off camera and light before disconnecting
-    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+    // Cancel any pending reconnect
+    this.connectionEpoch++
+    if (this.cancelReconnectWait) {
+      this.cancelReconnectWait()
+      this.cancelReconnectWait = null
+    }
+
+    // Detach first so onclose knows this close was intentional
+    const socket = this.websocket
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      // Turn off camera and light before disconnecting
       if (this.cameraEnabled) {
         this.endCamera()
       }
       // Turn off IR light
       this.closeLight()
-      
+      this.websocket = null
+
       // Give commands time to send before closing connection
-      setTimeout(() => {
-        if (this.websocket) {
-          this.websocket.close()
-          this.websocket = null
-        }
-      }, 100)
-    } else if (this.websocket) {
-      this.websocket.close()
+      setTimeout(() => socket.close(), 100)
+    } else if (socket) {
       this.websocket = null
+      socket.close()
     }
+
+    this.failPendingCommands('Disconnected')
+    this.clockSync.stop()
+    this.blinkDetector.reset()
+    this.filterPipeline.reset()
+    this.settleDetector.cancel()
+    this.cancelValidation()
+    this.cancelDriftCheck()
     
-    this.isCalibrating = false
-    this.calibrationFinished = false
+    this.abandonCalibration()
+    this.setCalibrationState('idle')
     this.cameraEnabled = false
     this.cameraFlipped = false
     this.isInitialized = false
     this.isTracking = false
     this.deviceConnected = false
     this.lastStatusCode = null
+    this.activeUrl = null
     this.setStatus(DeviceStatus.DISCONNECTED)
   }
 
@@ -778,14 +2079,24 @@ export class EyeTracker extends EventEmitter<EventMap> {
    * Check if currently calibrating
    */
   isCalibrationInProgress(): boolean {
-    return this.isCalibrating
+    return this.calibrationState === 'presenting' ||
+           this.calibrationState === 'collecting' ||
+           this.calibrationState === 'awaiting-device' ||
+           this.calibrationState === 'checking'
+  }
+
+  /**
+   * Get the calibration flow state
+   */
+  getCalibrationState(): CalibrationState {
+    return this.calibrationState
   }
 
   /**
    * Check if calibration has been completed successfully
    */
   isCalibrationComplete(): boolean {
-    return this.calibrationFinished
+    return this.calibrationState === 'done'
   }
 
   /**
@@ -805,10 +2116,13 @@ export class EyeTracker extends EventEmitter<EventMap> {
     initialized: boolean
     calibrating: boolean
     calibrationComplete: boolean
+    calibrationState: CalibrationState
     tracking: boolean
     cameraEnabled: boolean
     cameraFlipped: boolean
     lastStatusCode: string | null
+    activeUrl: string | null
+    endpointFailures: EndpointFailure[]
   } {
     let wsState: 'connecting' | 'open' | 'closing' | 'closed' | 'not_initialized' = 'not_initialized'
     
@@ -834,12 +2148,15 @@ export class EyeTracker extends EventEmitter<EventMap> {
       websocketState: wsState,
       deviceConnected: this.deviceConnected,
       initialized: this.isInitialized,
-      calibrating: this.isCalibrating,
-      calibrationComplete: this.calibrationFinished,
+      calibrating: this.isCalibrationInProgress(),
+      calibrationComplete: this.isCalibrationComplete(),
+      calibrationState: this.calibrationState,
       tracking: this.isTracking,
       cameraEnabled: this.cameraEnabled,
       cameraFlipped: this.cameraFlipped,
-      lastStatusCode: this.lastStatusCode
+      lastStatusCode: this.lastStatusCode,
+      activeUrl: this.activeUrl,
+      endpointFailures: [...this.endpointFailures]
     }
   }
 
@@ -851,7 +2168,7 @@ export class EyeTracker extends EventEmitter<EventMap> {
     return this.isDeviceConnected() && 
            this.isDeviceInitialized() && 
            this.isCalibrationComplete() && 
-           !this.isCalibrating
+           !this.isCalibrationInProgress()
   }
 
   /**
@@ -860,4 +2177,15 @@ export class EyeTracker extends EventEmitter<EventMap> {
   getLastStatusCode(): string | null {
     return this.lastStatusCode
   }
+
+  /**
+   * Get the URL of the current connection, or null when disconnected
+   */
+  getActiveUrl(): string | null {
+    return this.activeUrl
+  }
+}
+
+function isGazeCorrectionModel(model: GazeCorrectionModel | SerializedGazeCorrection): model is GazeCorrectionModel {
+  return typeof (model as GazeCorrectionModel).apply === 'function'
 }
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * Client-side gaze correction
+ * Least-squares mappings from measured gaze to target positions, fitted from
+ * validation data to remove systematic offsets left by the device calibration
+ */
+
+import {
+  CalibrationPoint,
+  GazeCorrectionModel,
+  GazeCorrectionPair,
+  GazeCorrectionType,
+  SerializedGazeCorrection
+} from './types'
+import { MIN_QUALITY_SAMPLES } from './CalibrationQuality'
+
+/**
+ * Pivots smaller than this mean the targets don't determine the mapping
+ */
+const SINGULAR_PIVOT = 1e-12
+
+/**
+ * Linear least-squares fit of each axis over a fixed set of terms
+ */
+abstract class LeastSquaresCorrection implements GazeCorrectionModel {
+  abstract readonly type: string
+  private coefficients: { x: number[]; y: number[] } | null = null
+
+  constructor(coefficients?: { x: number[]; y: number[] }) {
+    if (coefficients) {
+      this.setCoefficients(coefficients)
+    }
+  }
+
+  /**
+   * Terms of the mapping for one gaze point, e.g. [1, x, y]
+   */
+  protected abstract terms(x: number, y: number): number[]
+
+  /**
+   * Whether the model has coefficients to apply
+   */
+  isFitted(): boolean {
+    return this.coefficients !== null
+  }
+
+  fit(pairs: GazeCorrectionPair[]): void {
+    const termCount = this.terms(0, 0).length
+    if (pairs.length < termCount) {
+      throw new Error(`A ${this.type} correction needs at least ${termCount} measured targets, got ${pairs.length}`)
+    }
+
+    const rows = pairs.map(p => this.terms(p.gaze.x, p.gaze.y))
+    this.coefficients = {
+      x: leastSquares(rows, pairs.map(p => p.target.x)),
+      y: leastSquares(rows, pairs.map(p => p.target.y))
+    }
+  }
+
+  /**
+   * Map a gaze point; unchanged until the model is fitted
+   */
+  apply(x: number, y: number): { x: number; y: number } {
+    const coefficients = this.coefficients
+    if (!coefficients) return { x, y }
+
+    const terms = this.terms(x, y)
+    return {
+      x: terms.reduce((sum, term, i) => sum + term * coefficients.x[i], 0),
+      y: terms.reduce((sum, term, i) => sum + term * coefficients.y[i], 0)
+    }
+  }
+
+  serialize(): SerializedGazeCorrection {
+    if (!this.coefficients) {
+      throw new Error(`The ${this.type} correction has not been fitted`)
+    }
+    return {
+      type: this.type,
+      coefficients: { x: [...this.coefficients.x], y: [...this.coefficients.y] }
+    }
+  }
+
+  private setCoefficients(coefficients: { x: number[]; y: number[] }): void {
+    const termCount = this.terms(0, 0).length
+    if (coefficients.x?.length !== termCount || coefficients.y?.length !== termCount) {
+      throw new Error(`A ${this.type} correction takes ${termCount} coefficients per axis`)
+    }
+    this.coefficients = { x: [...coefficients.x], y: [...coefficients.y] }
+  }
+}
+
+/**
+ * Offset, scale, rotation and shear: x' = a0 + a1 x + a2 y (3+ targets)
+ */
+export class AffineCorrection extends LeastSquaresCorrection {
+  readonly type = 'affine'
+
+  protected terms(x: number, y: number): number[] {
+    return [1, x, y]
+  }
+}
+
+/**
+ * 2nd-order polynomial: x' = a0 + a1 x + a2 y + a3 xy + a4 x² + a5 y² (6+ targets)
+ * Also bends the edges and corners, where affine can only shift and scale
+ */
+export class PolynomialCorrection extends LeastSquaresCorrection {
+  readonly type = 'polynomial'
+
+  protected terms(x: number, y: number): number[] {
+    return [1, x, y, x * y, x * x, y * y]
+  }
+}
+
+/**
+ * Build an unfitted built-in model
+ */
+export function createGazeCorrection(type: GazeCorrectionType): GazeCorrectionModel {
+  switch (type) {
+    case 'affine':
+      return new AffineCorrection()
+    case 'polynomial':
+      return new PolynomialCorrection()
+  }
+}
+
+/**
+ * Rebuild a built-in model from serialize() output
+ */
+export function deserializeGazeCorrection(data: SerializedGazeCorrection): GazeCorrectionModel {
+  switch (data?.type) {
+    case 'affine':
+      return new AffineCorrection(data.coefficients)
+    case 'polynomial':
+      return new PolynomialCorrection(data.coefficients)
+    default:
+      throw new Error(`Unknown gaze correction type: ${data?.type}`)
+  }
+}
+
+/**
+ * Gaze/target pairs from measured validation or calibration points
+ * Uses the mean device coordinates (`raw` when present), so a model can be
+ * refitted while another correction is active
+ */
+export function correctionPairs(points: CalibrationPoint[]): GazeCorrectionPair[] {
+  const pairs: GazeCorrectionPair[] = []
+  points.forEach(p => {
+    const samples = p.samples ?? []
+    if (samples.length < MIN_QUALITY_SAMPLES) return
+
+    const sum = samples.reduce((acc, s) => {
+      const source = s.raw ?? s
+      return { x: acc.x + source.x, y: acc.y + source.y }
+    }, { x: 0, y: 0 })
+    pairs.push({
+      gaze: { x: sum.x / samples.length, y: sum.y / samples.length },
+      target: { x: p.x, y: p.y }
+    })
+  })
+  return pairs
+}
+
+/**
+ * Solve the normal equations (AᵀA) c = Aᵀb by Gaussian elimination with partial pivoting
+ */
+function leastSquares(rows: number[][], values: number[]): number[] {
+  const n = rows[0].length
+  const m: number[][] = []
+  for (let i = 0; i < n; i++) {
+    m.push(new Array(n + 1).fill(0))
+    rows.forEach((row, r) => {
+      for (let j = 0; j < n; j++) {
+        m[i][j] += row[i] * row[j]
+      }
+      m[i][n] += row[i] * values[r]
+    })
+  }
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r
+    }
+    if (Math.abs(m[pivot][col]) < SINGULAR_PIVOT) {
+      throw new Error('The measured targets do not determine the correction (too few or collinear)')
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]]
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue
+      const factor = m[r][col] / m[col][col]
+      for (let c = col; c <= n; c++) {
+        m[r][c] -= factor * m[col][c]
+      }
+    }
+  }
+
+  return m.map((row, i) => row[n] / row[i])
+}
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * Fixation and saccade detection
+ * Velocity-threshold (I-VT) and dispersion-threshold (I-DT) classification,
+ * online from the gazeData stream or offline over recorded samples
+ */
+
+import { EyeTracker } from './EyeTracker'
+import { EventEmitter } from './EventEmitter'
+import { GazeData } from './types'
+
+export interface GazeEventDetectorConfig {
+  algorithm?: 'ivt' | 'idt'
+  velocityThreshold?: number      // I-VT: faster samples are saccadic (units/s)
+  dispersionThreshold?: number    // I-DT: max (x range + y range) within a fixation (units)
+  minFixationDuration?: number    // Shorter fixations are discarded (ms); also the I-DT window
+  maxGap?: number                 // Longer gaps between samples end the current event (ms)
+  scale?: { x: number; y: number } // Multipliers from gaze coordinates to threshold units
+  historySize?: number            // Events kept by the online detector
+}
+
+export interface Fixation {
+  startTime: number
+  endTime: number
+  duration: number
+  x: number             // Centroid, in gaze coordinates
+  y: number
+  dispersion: number    // In threshold units
+  sampleCount: number
+}
+
+export interface Saccade {
+  startTime: number
+  endTime: number
+  duration: number
+  startX: number
+  startY: number
+  endX: number
+  endY: number
+  amplitude: number     // In threshold units
+  peakVelocity: number  // In threshold units per second
+}
+
+export interface GazeGap {
+  startTime: number
+  endTime: number
+  duration: number
+}
+
+export interface GazeEventMap {
+  fixationStart: { timestamp: number; x: number; y: number }
+  fixationEnd: Fixation
+  saccade: Saccade
+  gap: GazeGap
+}
+
+export interface GazeEventResult {
+  fixations: Fixation[]
+  saccades: Saccade[]
+  gaps: GazeGap[]
+}
+
+interface Point {
+  t: number
+  x: number   // Gaze coordinates
+  y: number
+}
+
+type Emit = <K extends keyof GazeEventMap>(event: K, data: GazeEventMap[K]) => void
+
+const DEFAULT_CONFIG: Required<GazeEventDetectorConfig> = {
+  algorithm: 'ivt',
+  velocityThreshold: 1,         // One screen width per second with normalized coordinates
+  dispersionThreshold: 0.03,
+  minFixationDuration: 100,
+  maxGap: 100,
+  scale: { x: 1, y: 1 },
+  historySize: 1000
+}
+
+/**
+ * Streaming classifier shared by the online detector and detectGazeEvents()
+ */
+class Classifier {
+  private config: Required<GazeEventDetectorConfig>
+  private emit: Emit
+  private last: Point | null = null
+
+  // I-VT state
+  private segment: Point[] = []
+  private segmentType: 'fixation' | 'saccade' = 'fixation'
+  private peakVelocity: number = 0
+  private announced: boolean = false
+
+  // I-DT state
+  private window: Point[] = []
+  private transit: Point[] = []
+  private inFixation: boolean = false
+
+  constructor(config: Required<GazeEventDetectorConfig>, emit: Emit) {
+    this.config = config
+    this.emit = emit
+  }
+
+  push(sample: GazeData): void {
+    // Blink samples carry no usable gaze position
+    if (sample.blink) return
+
+    const point: Point = {
+      t: sample.correctedTimestamp ?? sample.timestamp,
+      x: sample.x,
+      y: sample.y
+    }
+
+    if (this.last && point.t - this.last.t > this.config.maxGap) {
+      this.flush()
+      this.emit('gap', {
+        startTime: this.last.t,
+        endTime: point.t,
+        duration: point.t - this.last.t
+      })
+    }
+
+    if (this.config.algorithm === 'idt') {
+      this.pushIdt(point)
+    } else {
+      this.pushIvt(point)
+    }
+    this.last = point
+  }
+
+  /**
+   * Close whatever event is in progress
+   */
+  flush(): void {
+    if (this.config.algorithm === 'idt') {
+      if (this.inFixation) this.endFixation(this.window)
+      this.window = []
+      this.transit = []
+      this.inFixation = false
+    } else {
+      this.closeIvtSegment()
+      this.segment = []
+      this.segmentType = 'fixation'
+    }
+    this.announced = false
+  }
+
+  private pushIvt(point: Point): void {
+    const previous = this.segment[this.segment.length - 1]
+    if (!previous) {
+      this.segment = [point]
+      this.segmentType = 'fixation'
+      this.peakVelocity = 0
+      return
+    }
+
+    const velocity = this.velocity(previous, point)
+    const type = velocity < this.config.velocityThreshold ? 'fixation' : 'saccade'
+
+    if (type === this.segmentType) {
+      this.segment.push(point)
+      this.peakVelocity = Math.max(this.peakVelocity, velocity)
+      this.announceFixation(this.segment)
+      return
+    }
+
+    this.closeIvtSegment()
+
+    if (type === 'saccade') {
+      // The saccade starts at the last slow sample
+      this.segment = [previous, point]
+      this.peakVelocity = velocity
+    } else {
+      this.segment = [point]
+      this.peakVelocity = 0
+    }
+    this.segmentType = type
+    this.announced = false
+  }
+
+  private closeIvtSegment(): void {
+    if (this.segment.length === 0) return
+
+    if (this.segmentType === 'fixation') {
+      this.endFixation(this.segment)
+    } else if (this.segment.length >= 2) {
+      this.emitSaccade(this.segment, this.peakVelocity)
+    }
+  }
+
+  private pushIdt(point: Point): void {
+    if (this.inFixation) {
+      if (this.dispersion([...this.window, point]) <= this.config.dispersionThreshold) {
+        this.window.push(point)
+        return
+      }
+      this.endFixation(this.window)
+      this.transit = [this.window[this.window.length - 1]]
+      this.window = []
+      this.inFixation = false
+      this.announced = false
+    }
+
+    this.window.push(point)
+
+    // Slide the duration window until its points fall within the dispersion threshold
+    while (this.window.length > 1 && this.duration(this.window) >= this.config.minFixationDuration) {
+      if (this.dispersion(this.window) <= this.config.dispersionThreshold) {
+        this.inFixation = true
+        if (this.transit.length > 0) {
+          const path = [...this.transit, this.window[0]]
+          this.emitSaccade(path, this.peakOf(path))
+        }
+        this.transit = []
+        this.announceFixation(this.window)
+        return
+      }
+      // Points leaving the window are saccadic only when they follow a fixation
+      const dropped = this.window.shift()!
+      if (this.transit.length > 0) {
+        this.transit.push(dropped)
+      }
+    }
+  }
+
+  private announceFixation(points: Point[]): void {
+    if (this.announced || (this.config.algorithm === 'ivt' && this.segmentType === 'saccade')) return
+    if (this.duration(points) < this.config.minFixationDuration) return
+
+    this.announced = true
+    const centroid = this.centroid(points)
+    this.emit('fixationStart', { timestamp: points[0].t, x: centroid.x, y: centroid.y })
+  }
+
+  private endFixation(points: Point[]): void {
+    if (points.length === 0 || this.duration(points) < this.config.minFixationDuration) return
+
+    const centroid = this.centroid(points)
+    this.emit('fixationEnd', {
+      startTime: points[0].t,
+      endTime: points[points.length - 1].t,
+      duration: this.duration(points),
+      x: centroid.x,
+      y: centroid.y,
+      dispersion: this.dispersion(points),
+      sampleCount: points.length
+    })
+  }
+
+  private emitSaccade(points: Point[], peakVelocity: number): void {
+    const start = points[0]
+    const end = points[points.length - 1]
+    this.emit('saccade', {
+      startTime: start.t,
+      endTime: end.t,
+      duration: end.t - start.t,
+      startX: start.x,
+      startY: start.y,
+      endX: end.x,
+      endY: end.y,
+      amplitude: this.distance(start, end),
+      peakVelocity
+    })
+  }
+
+  private distance(a: Point, b: Point): number {
+    const dx = (b.x - a.x) * this.config.scale.x
+    const dy = (b.y - a.y) * this.config.scale.y
+    return Math.sqrt(dx * dx + dy * dy)
+  }
+
+  private velocity(a: Point, b: Point): number {
+    const dt = (b.t - a.t) / 1000
+    return dt > 0 ? this.distance(a, b) / dt : 0
+  }
+
+  private peakOf(points: Point[]): number {
+    let peak = 0
+    for (let i = 1; i < points.length; i++) {
+      peak = Math.max(peak, this.velocity(points[i - 1], points[i]))
+    }
+    return peak
+  }
+
+  private duration(points: Point[]): number {
+    return points[points.length - 1].t - points[0].t
+  }
+
+  private centroid(points: Point[]): { x: number; y: number } {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 })
+    return { x: sum.x / points.length, y: sum.y / points.length }
+  }
+
+  private dispersion(points: Point[]): number {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity
+    points.forEach(p => {
+      minX = Math.min(minX, p.x)
+      maxX = Math.max(maxX, p.x)
+      minY = Math.min(minY, p.y)
+      maxY = Math.max(maxY, p.y)
+    })
+    return (maxX - minX) * this.config.scale.x + (maxY - minY) * this.config.scale.y
+  }
+}
+
+/**
+ * Classify recorded samples, e.g. tracker.getData()
+ */
+export function detectGazeEvents(
+  samples: GazeData[],
+  config?: GazeEventDetectorConfig
+): GazeEventResult {
+  const result: GazeEventResult = { fixations: [], saccades: [], gaps: [] }
+
+  const classifier = new Classifier({ ...DEFAULT_CONFIG, ...config }, (event, data) => {
+    if (event === 'fixationEnd') result.fixations.push(data as Fixation)
+    if (event === 'saccade') result.saccades.push(data as Saccade)
+    if (event === 'gap') result.gaps.push(data as GazeGap)
+  })
+
+  samples.forEach(sample => classifier.push(sample))
+  classifier.flush()
+
+  return result
+}
+
+/**
+ * Online fixation/saccade detector on the tracker's gazeData stream
+ */
+export class GazeEventDetector extends EventEmitter<GazeEventMap> {
+  private tracker: EyeTracker
+  private config: Required<GazeEventDetectorConfig>
+  private classifier: Classifier
+  private fixations: Fixation[] = []
+  private saccades: Saccade[] = []
+  private active: boolean = true
+  private gazeHandler = (data: GazeData) => {
+    if (this.active) {
+      this.classifier.push(data)
+    }
+  }
+
+  constructor(tracker: EyeTracker, config?: GazeEventDetectorConfig) {
+    super()
+    this.tracker = tracker
+    this.config = { ...DEFAULT_CONFIG, ...config }
+    this.classifier = this.createClassifier()
+
+    this.tracker.on('gazeData', this.gazeHandler)
+  }
+
+  /**
+   * Resume classifying incoming samples
+   */
+  start(): void {
+    this.active = true
+  }
+
+  /**
+   * Pause classification, closing the event in progress
+   */
+  stop(): void {
+    this.active = false
+    this.classifier.flush()
+  }
+
+  /**
+   * Fixations completed so far (most recent last)
+   */
+  getFixations(): Fixation[] {
+    return [...this.fixations]
+  }
+
+  /**
+   * Saccades completed so far (most recent last)
+   */
+  getSaccades(): Saccade[] {
+    return [...this.saccades]
+  }
+
+  /**
+   * Clear history and classifier state
+   */
+  reset(): void {
+    this.fixations = []
+    this.saccades = []
+    this.classifier = this.createClassifier()
+  }
+
+  /**
+   * Update configuration; restarts classification
+   */
+  updateConfig(config: Partial<GazeEventDetectorConfig>): void {
+    Object.assign(this.config, config)
+    this.classifier.flush()
+    this.classifier = this.createClassifier()
+  }
+
+  /**
+   * Stop listening to the tracker
+   */
+  destroy(): void {
+    this.active = false
+    this.tracker.off('gazeData', this.gazeHandler)
+    this.removeAllListeners()
+  }
+
+  private createClassifier(): Classifier {
+    return new Classifier(this.config, (event, data) => {
+      if (event === 'fixationEnd') this.remember(this.fixations, data as Fixation)
+      if (event === 'saccade') this.remember(this.saccades, data as Saccade)
+      this.emit(event, data)
+    })
+  }
+
+  private remember<T>(list: T[], item: T): void {
+    list.push(item)
+    if (list.length > this.config.historySize) {
+      list.shift()
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Real-time gaze smoothing filters
+ * Applied between message parsing and the gazeData event / data buffer
+ */
+
+import { GazeData, GazeFilter, GazeFilterConfig } from './types'
+
+/**
+ * Samples further apart than this (ms) reset the filters instead of being smoothed together
+ */
+const DEFAULT_RESET_GAP = 200
+
+/**
+ * One Euro filter (Casiez et al. 2012) - adaptive low-pass that
+ * smooths fixations heavily and follows saccades with little lag
+ */
+export class OneEuroFilter implements GazeFilter {
+  private minCutoff: number
+  private beta: number
+  private dCutoff: number
+  private last: { x: number; y: number; dx: number; dy: number; t: number } | null = null
+
+  constructor(minCutoff: number = 1, beta: number = 0.3, dCutoff: number = 1) {
+    this.minCutoff = minCutoff
+    this.beta = beta
+    this.dCutoff = dCutoff
+  }
+
+  filter(x: number, y: number, timestamp: number): { x: number; y: number } {
+    const last = this.last
+    if (!last || timestamp <= last.t) {
+      this.last = { x, y, dx: 0, dy: 0, t: timestamp }
+      return { x, y }
+    }
+
+    const te = (timestamp - last.t) / 1000
+    const dAlpha = this.alpha(this.dCutoff, te)
+    const dx = last.dx + dAlpha * ((x - last.x) / te - last.dx)
+    const dy = last.dy + dAlpha * ((y - last.y) / te - last.dy)
+
+    const speed = Math.sqrt(dx * dx + dy * dy)
+    const alpha = this.alpha(this.minCutoff + this.beta * speed, te)
+    const fx = last.x + alpha * (x - last.x)
+    const fy = last.y + alpha * (y - last.y)
+
+    this.last = { x: fx, y: fy, dx, dy, t: timestamp }
+    return { x: fx, y: fy }
+  }
+
+  reset(): void {
+    this.last = null
+  }
+
+  private alpha(cutoff: number, te: number): number {
+    const tau = 1 / (2 * Math.PI * cutoff)
+    return 1 / (1 + tau / te)
+  }
+}
+
+/**
+ * Mean of the last N samples
+ */
+export class MovingAverageFilter implements GazeFilter {
+  private windowSize: number
+  private window: Array<{ x: number; y: number }> = []
+
+  constructor(windowSize: number = 5) {
+    this.windowSize = Math.max(1, windowSize)
+  }
+
+  filter(x: number, y: number): { x: number; y: number } {
+    this.window.push({ x, y })
+    if (this.window.length > this.windowSize) {
+      this.window.shift()
+    }
+
+    const sum = this.window.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 })
+    return { x: sum.x / this.window.length, y: sum.y / this.window.length }
+  }
+
+  reset(): void {
+    this.window = []
+  }
+}
+
+/**
+ * Per-axis median of the last N samples - removes single-sample spikes
+ */
+export class MedianFilter implements GazeFilter {
+  private windowSize: number
+  private xs: number[] = []
+  private ys: number[] = []
+
+  constructor(windowSize: number = 5) {
+    this.windowSize = Math.max(1, windowSize)
+  }
+
+  filter(x: number, y: number): { x: number; y: number } {
+    this.xs.push(x)
+    this.ys.push(y)
+    if (this.xs.length > this.windowSize) {
+      this.xs.shift()
+      this.ys.shift()
+    }
+    return { x: median(this.xs), y: median(this.ys) }
+  }
+
+  reset(): void {
+    this.xs = []
+    this.ys = []
+  }
+}
+
+/**
+ * Per-axis constant-position Kalman filter
+ */
+export class KalmanFilter implements GazeFilter {
+  private processNoise: number
+  private measurementNoise: number
+  private state: { x: number; y: number; px: number; py: number } | null = null
+
+  constructor(processNoise: number = 1e-4, measurementNoise: number = 1e-3) {
+    this.processNoise = processNoise
+    this.measurementNoise = measurementNoise
+  }
+
+  filter(x: number, y: number): { x: number; y: number } {
+    if (!this.state) {
+      this.state = { x, y, px: 1, py: 1 }
+      return { x, y }
+    }
+
+    const s = this.state
+    const px = s.px + this.processNoise
+    const py = s.py + this.processNoise
+    const kx = px / (px + this.measurementNoise)
+    const ky = py / (py + this.measurementNoise)
+
+    s.x += kx * (x - s.x)
+    s.y += ky * (y - s.y)
+    s.px = (1 - kx) * px
+    s.py = (1 - ky) * py
+
+    return { x: s.x, y: s.y }
+  }
+
+  reset(): void {
+    this.state = null
+  }
+}
+
+/**
+ * Build a built-in filter from its config
+ */
+export function createGazeFilter(config: GazeFilterConfig): GazeFilter {
+  switch (config.type) {
+    case 'oneEuro':
+      return new OneEuroFilter(config.minCutoff, config.beta, config.dCutoff)
+    case 'movingAverage':
+      return new MovingAverageFilter(config.windowSize)
+    case 'median':
+      return new MedianFilter(config.windowSize)
+    case 'kalman':
+      return new KalmanFilter(config.processNoise, config.measurementNoise)
+  }
+}
+
+/**
+ * Ordered chain of filters applied to each sample's x/y
+ * The unfiltered coordinates are kept on the sample as `raw`
+ */
+export class GazeFilterPipeline {
+  private filters: GazeFilter[] = []
+  private resetGap: number
+  private lastTimestamp: number | null = null
+
+  constructor(filters: Array<GazeFilter | GazeFilterConfig> = [], resetGap: number = DEFAULT_RESET_GAP) {
+    this.resetGap = resetGap
+    this.setFilters(filters)
+  }
+
+  /**
+   * Replace all filters
+   */
+  setFilters(filters: Array<GazeFilter | GazeFilterConfig>): void {
+    this.filters = filters.map(f => isGazeFilter(f) ? f : createGazeFilter(f))
+    this.reset()
+  }
+
+  /**
+   * Append a filter to the end of the chain
+   */
+  add(filter: GazeFilter | GazeFilterConfig): void {
+    this.filters.push(isGazeFilter(filter) ? filter : createGazeFilter(filter))
+  }
+
+  get length(): number {
+    return this.filters.length
+  }
+
+  /**
+   * Filter a sample in place
+   */
+  process(sample: GazeData): void {
+    if (this.filters.length === 0) return
+
+    if (this.lastTimestamp !== null && sample.timestamp - this.lastTimestamp > this.resetGap) {
+      this.reset()
+    }
+    this.lastTimestamp = sample.timestamp
+
+    let point = { x: sample.x, y: sample.y }
+    this.filters.forEach(filter => {
+      point = filter.filter(point.x, point.y, sample.timestamp)
+    })
+
+    sample.raw = { x: sample.x, y: sample.y }
+    sample.x = point.x
+    sample.y = point.y
+  }
+
+  /**
+   * Clear filter history
+   */
+  reset(): void {
+    this.filters.forEach(filter => filter.reset())
+    this.lastTimestamp = null
+  }
+}
+
+function isGazeFilter(filter: GazeFilter | GazeFilterConfig): filter is GazeFilter {
+  return typeof (filter as GazeFilter).filter === 'function'
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid]
+}
\ No newline at end of file
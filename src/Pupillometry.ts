@@ -0,0 +1,398 @@
+/**
+ * Pupillometry - pupil-diameter time series from the tracker's pupil ellipses
+ * Blink-gap interpolation, smoothing, baseline correction and per-trial summaries
+ */
+
+import { EyeTracker } from './EyeTracker'
+import { GazeData, PupilEllipse } from './types'
+
+export interface PupillometryConfig {
+  diameterMethod?: 'area' | 'major'        // Equal-area circle diameter, or the ellipse major axis
+  minDiameter?: number                     // Diameters at or below this are treated as pupil loss
+  maxGap?: number                          // Longest gap (ms) to interpolate across, e.g. a blink
+  gapPadding?: number                      // Samples this close (ms) to a gap are also discarded
+  smoothingWindow?: number                 // Centered moving-average window in ms (0 disables)
+  baselineMode?: 'subtractive' | 'divisive'
+}
+
+export interface PupilSample {
+  timestamp: number
+  left: number | null      // Diameter in camera pixels, null when the pupil was lost
+  right: number | null
+}
+
+export interface PupilTraceSample extends PupilSample {
+  average: number | null            // Mean of the available eyes
+  leftInterpolated: boolean
+  rightInterpolated: boolean
+}
+
+export interface PupilBaselineWindow {
+  start: number
+  end: number
+}
+
+export interface PupilEyeSummary {
+  baseline: number | null
+  mean: number
+  sd: number
+  min: number
+  max: number
+  peak: number                 // Largest baseline-corrected value
+  peakLatency: number          // ms from the first sample to the peak
+  sampleCount: number
+  validProportion: number      // Share of samples with a measured or interpolated value
+  interpolatedProportion: number
+}
+
+export interface PupilSummary {
+  left: PupilEyeSummary | null
+  right: PupilEyeSummary | null
+  average: PupilEyeSummary | null
+  baselineMode: 'subtractive' | 'divisive'
+  baselineWindow: PupilBaselineWindow | null
+}
+
+export interface PupilAnalysis {
+  trace: PupilTraceSample[]    // Interpolated, smoothed and baseline-corrected
+  summary: PupilSummary
+}
+
+type Eye = 'left' | 'right'
+
+const DEFAULT_CONFIG: Required<PupillometryConfig> = {
+  diameterMethod: 'area',
+  minDiameter: 0,
+  maxGap: 500,
+  gapPadding: 50,
+  smoothingWindow: 50,
+  baselineMode: 'subtractive'
+}
+
+/**
+ * Pupil diameter from its fitted ellipse
+ * 'area' gives the diameter of the circle with the same area, 'major' the longer axis
+ */
+export function pupilDiameter(
+  ellipse: PupilEllipse,
+  method: 'area' | 'major' = 'area'
+): number {
+  if (method === 'major') {
+    return Math.max(ellipse.width, ellipse.height)
+  }
+  return Math.sqrt(ellipse.width * ellipse.height)
+}
+
+/**
+ * Pull pupil diameters out of rich gaze samples (CoreConfig.richSamples)
+ */
+export function extractPupilSamples(
+  data: GazeData[],
+  config?: PupillometryConfig
+): PupilSample[] {
+  const { diameterMethod, minDiameter } = { ...DEFAULT_CONFIG, ...config }
+
+  const diameterOf = (eye: Eye, sample: GazeData): number | null => {
+    // A closing lid squashes the fitted ellipse, so blink samples count as missing
+    if (sample.blink) return null
+    const eyeSample = sample.eyes?.[eye]
+    if (!eyeSample?.valid || !eyeSample.pupil) return null
+    const diameter = pupilDiameter(eyeSample.pupil, diameterMethod)
+    return diameter > minDiameter ? diameter : null
+  }
+
+  return data.map(sample => ({
+    timestamp: sample.correctedTimestamp ?? sample.timestamp,
+    left: diameterOf('left', sample),
+    right: diameterOf('right', sample)
+  }))
+}
+
+/**
+ * Run the full pipeline: gap interpolation, smoothing, baseline correction, summary
+ * Works on any PupilSample series, including ones rebuilt from jsPsych trial data
+ */
+export function analyzePupil(
+  samples: PupilSample[],
+  baselineWindow: PupilBaselineWindow | null = null,
+  config?: PupillometryConfig
+): PupilAnalysis {
+  const options = { ...DEFAULT_CONFIG, ...config }
+
+  const trace: PupilTraceSample[] = samples.map(s => ({
+    timestamp: s.timestamp,
+    left: s.left,
+    right: s.right,
+    average: null,
+    leftInterpolated: false,
+    rightInterpolated: false
+  }))
+
+  const baselines: Record<Eye | 'average', number | null> = { left: null, right: null, average: null }
+
+  ;(['left', 'right'] as Eye[]).forEach(eye => {
+    interpolateGaps(trace, eye, options.maxGap, options.gapPadding)
+    if (options.smoothingWindow > 0) {
+      smooth(trace, eye, options.smoothingWindow)
+    }
+  })
+
+  trace.forEach(s => {
+    s.average = meanOf([s.left, s.right])
+  })
+
+  // Baselines come from the smoothed, uncorrected signal
+  if (baselineWindow) {
+    ;(['left', 'right', 'average'] as const).forEach(key => {
+      baselines[key] = meanOf(
+        trace
+          .filter(s => s.timestamp >= baselineWindow.start && s.timestamp <= baselineWindow.end)
+          .map(s => s[key])
+      )
+    })
+
+    trace.forEach(s => {
+      s.left = correct(s.left, baselines.left, options.baselineMode)
+      s.right = correct(s.right, baselines.right, options.baselineMode)
+      s.average = correct(s.average, baselines.average, options.baselineMode)
+    })
+  }
+
+  return {
+    trace,
+    summary: {
+      left: summarize(trace, 'left', baselines.left),
+      right: summarize(trace, 'right', baselines.right),
+      average: summarize(trace, 'average', baselines.average),
+      baselineMode: options.baselineMode,
+      baselineWindow
+    }
+  }
+}
+
+/**
+ * Live pupil recorder on top of an EyeTracker
+ * Turns on rich samples, since pupil ellipses are only kept in that mode,
+ * and restores the tracker's previous setting on destroy()
+ */
+export class Pupillometry {
+  private tracker: EyeTracker
+  private config: Required<PupillometryConfig>
+  private samples: PupilSample[] = []
+  private recording: boolean = false
+  private previousRichSamples: boolean
+  private baselineStart: number | null = null
+  private baselineEnd: number | null = null
+  private gazeHandler = (data: GazeData) => {
+    if (this.recording) {
+      this.samples.push(...extractPupilSamples([data], this.config))
+    }
+  }
+
+  constructor(tracker: EyeTracker, config?: PupillometryConfig) {
+    this.tracker = tracker
+    this.config = { ...DEFAULT_CONFIG, ...config }
+
+    this.previousRichSamples = this.tracker.isRichSamplesEnabled()
+    this.tracker.setRichSamples(true)
+    this.tracker.on('gazeData', this.gazeHandler)
+  }
+
+  /**
+   * Start a new recording, discarding the previous one
+   */
+  start(): void {
+    this.reset()
+    this.recording = true
+  }
+
+  /**
+   * Stop recording; collected samples are kept for analyze()
+   */
+  stop(): void {
+    this.recording = false
+  }
+
+  /**
+   * Mark the start of the baseline window (defaults to now)
+   */
+  markBaselineStart(time: number = performance.now()): void {
+    this.baselineStart = time
+    this.baselineEnd = null
+  }
+
+  /**
+   * Mark the end of the baseline window (defaults to now)
+   */
+  markBaselineEnd(time: number = performance.now()): void {
+    this.baselineEnd = time
+  }
+
+  /**
+   * Set the baseline window directly, in sample timestamps
+   */
+  setBaselineWindow(start: number, end: number): void {
+    this.baselineStart = start
+    this.baselineEnd = end
+  }
+
+  /**
+   * Raw pupil diameters recorded so far
+   */
+  getSamples(): PupilSample[] {
+    return this.samples.map(s => ({ ...s }))
+  }
+
+  /**
+   * Process the recording relative to the marked baseline window
+   */
+  analyze(): PupilAnalysis {
+    const window = this.baselineStart !== null && this.baselineEnd !== null
+      ? { start: this.baselineStart, end: this.baselineEnd }
+      : null
+    return analyzePupil(this.samples, window, this.config)
+  }
+
+  /**
+   * Clear samples and baseline marks
+   */
+  reset(): void {
+    this.samples = []
+    this.baselineStart = null
+    this.baselineEnd = null
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(config: Partial<PupillometryConfig>): void {
+    Object.assign(this.config, config)
+  }
+
+  /**
+   * Stop listening to the tracker and restore its rich samples setting
+   */
+  destroy(): void {
+    this.recording = false
+    this.tracker.off('gazeData', this.gazeHandler)
+    this.tracker.setRichSamples(this.previousRichSamples)
+  }
+}
+
+/**
+ * Widen each gap by `padding` ms, then linearly interpolate gaps up to `maxGap` ms
+ */
+function interpolateGaps(trace: PupilTraceSample[], eye: Eye, maxGap: number, padding: number): void {
+  const flag = eye === 'left' ? 'leftInterpolated' : 'rightInterpolated'
+  const lost = trace.map(s => s[eye] === null)
+
+  if (padding > 0) {
+    const gapTimes = trace.filter((_, i) => lost[i]).map(s => s.timestamp)
+    let g = 0
+    trace.forEach(s => {
+      while (g < gapTimes.length && gapTimes[g] < s.timestamp - padding) g++
+      if (g < gapTimes.length && gapTimes[g] <= s.timestamp + padding) {
+        s[eye] = null
+      }
+    })
+  }
+
+  let i = 0
+  while (i < trace.length) {
+    if (trace[i][eye] !== null) {
+      i++
+      continue
+    }
+
+    const gapStart = i
+    while (i < trace.length && trace[i][eye] === null) i++
+    const before = trace[gapStart - 1]
+    const after = trace[i]
+
+    if (!before || !after) continue
+    if (after.timestamp - before.timestamp > maxGap) continue
+
+    const from = before[eye]!
+    const to = after[eye]!
+    const span = after.timestamp - before.timestamp
+    for (let j = gapStart; j < i; j++) {
+      const fraction = span > 0 ? (trace[j].timestamp - before.timestamp) / span : 0
+      trace[j][eye] = from + (to - from) * fraction
+      trace[j][flag] = true
+    }
+  }
+}
+
+/**
+ * Centered moving average over a time window, skipping missing values
+ */
+function smooth(trace: PupilTraceSample[], eye: Eye, window: number): void {
+  const half = window / 2
+  const values = trace.map(s => s[eye])
+  let lo = 0
+  let hi = 0
+  let sum = 0
+  let count = 0
+
+  trace.forEach((s, i) => {
+    while (hi < trace.length && trace[hi].timestamp <= s.timestamp + half) {
+      if (values[hi] !== null) { sum += values[hi]!; count++ }
+      hi++
+    }
+    while (trace[lo].timestamp < s.timestamp - half) {
+      if (values[lo] !== null) { sum -= values[lo]!; count-- }
+      lo++
+    }
+    if (values[i] !== null && count > 0) {
+      s[eye] = sum / count
+    }
+  })
+}
+
+function correct(value: number | null, baseline: number | null, mode: 'subtractive' | 'divisive'): number | null {
+  if (value === null || baseline === null) return value
+  if (mode === 'divisive') {
+    return baseline !== 0 ? value / baseline : null
+  }
+  return value - baseline
+}
+
+function meanOf(values: Array<number | null>): number | null {
+  const present = values.filter((v): v is number => v !== null)
+  return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null
+}
+
+function summarize(
+  trace: PupilTraceSample[],
+  key: Eye | 'average',
+  baseline: number | null
+): PupilEyeSummary | null {
+  const valid = trace.filter(s => s[key] !== null)
+  if (valid.length === 0) return null
+
+  const values = valid.map(s => s[key]!)
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length
+
+  let peakIndex = 0
+  values.forEach((v, i) => {
+    if (v > values[peakIndex]) peakIndex = i
+  })
+
+  const interpolated = key === 'average'
+    ? trace.filter(s => s.leftInterpolated || s.rightInterpolated).length
+    : trace.filter(s => key === 'left' ? s.leftInterpolated : s.rightInterpolated).length
+
+  return {
+    baseline,
+    mean,
+    sd: Math.sqrt(variance),
+    min: values.reduce((min, v) => Math.min(min, v), Infinity),
+    max: values.reduce((max, v) => Math.max(max, v), -Infinity),
+    peak: values[peakIndex],
+    peakLatency: valid[peakIndex].timestamp - trace[0].timestamp,
+    sampleCount: trace.length,
+    validProportion: valid.length / trace.length,
+    interpolatedProportion: interpolated / trace.length
+  }
+}
\ No newline at end of file
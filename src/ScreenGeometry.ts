@@ -0,0 +1,213 @@
+/**
+ * Screen geometry and degrees of visual angle
+ * Converts between normalized screen coordinates, CSS px, device px, mm
+ * on the screen surface and visual angle at the viewing distance.
+ * The eye is assumed to face the screen centre.
+ */
+
+import { ScreenGeometryConfig, SightLine } from './types'
+
+/**
+ * Weight of each new cornea-distance measurement in the running estimate
+ */
+const DISTANCE_SMOOTHING = 0.05
+
+export class ScreenGeometry {
+  private config: Required<ScreenGeometryConfig>
+  private estimatedDistance: number | null = null
+  private devicePixelRatioGiven: boolean
+
+  constructor(config?: ScreenGeometryConfig) {
+    const hasWindow = typeof window !== 'undefined'
+    this.devicePixelRatioGiven = config?.devicePixelRatio !== undefined
+    this.config = {
+      widthMm: config?.widthMm ?? 0,
+      heightMm: config?.heightMm ?? 0,
+      widthPx: config?.widthPx ?? (hasWindow ? window.screen.width : 1920),
+      heightPx: config?.heightPx ?? (hasWindow ? window.screen.height : 1080),
+      devicePixelRatio: config?.devicePixelRatio ?? (hasWindow ? window.devicePixelRatio : 1),
+      viewingDistanceMm: config?.viewingDistanceMm ?? 600,
+      estimateDistance: config?.estimateDistance ?? false,
+      corneaZScale: config?.corneaZScale ?? 1
+    }
+  }
+
+  /**
+   * Whether the physical screen size is known, so mm and degrees are meaningful
+   */
+  isConfigured(): boolean {
+    return this.config.widthMm > 0 && this.config.heightMm > 0
+  }
+
+  /**
+   * Whether devicePixelRatio was configured, rather than read from the window
+   * (which includes any page zoom at the time)
+   */
+  hasDevicePixelRatio(): boolean {
+    return this.devicePixelRatioGiven
+  }
+
+  /**
+   * Current geometry settings
+   */
+  getConfig(): Required<ScreenGeometryConfig> {
+    return { ...this.config }
+  }
+
+  /**
+   * Update geometry; a new viewingDistanceMm replaces the running estimate
+   */
+  updateConfig(config: ScreenGeometryConfig): void {
+    Object.assign(this.config, config)
+    if (config.devicePixelRatio !== undefined) {
+      this.devicePixelRatioGiven = true
+    }
+    if (config.viewingDistanceMm !== undefined || config.estimateDistance === false) {
+      this.estimatedDistance = null
+    }
+  }
+
+  /**
+   * Current eye-to-screen distance in mm (estimated when estimateDistance is on)
+   */
+  getViewingDistance(): number {
+    return this.estimatedDistance ?? this.config.viewingDistanceMm
+  }
+
+  /**
+   * Fold the sight-line cornea depth into the distance estimate
+   * @returns The updated distance, or null when estimation is off or no eye had a sight line
+   */
+  updateDistance(left?: SightLine, right?: SightLine): number | null {
+    if (!this.config.estimateDistance) return null
+
+    const depths = [left, right]
+      .map(line => line?.tCorneaCenter?.f32Z)
+      .filter((z): z is number => typeof z === 'number' && z > 0)
+    if (depths.length === 0) return null
+
+    const distance = depths.reduce((sum, z) => sum + z, 0) / depths.length * this.config.corneaZScale
+    this.estimatedDistance = this.estimatedDistance === null
+      ? distance
+      : this.estimatedDistance + (distance - this.estimatedDistance) * DISTANCE_SMOOTHING
+    return this.estimatedDistance
+  }
+
+  /**
+   * Normalized [0,1] screen point to screen CSS px
+   */
+  normalizedToPx(point: { x: number; y: number }): { x: number; y: number } {
+    return { x: point.x * this.config.widthPx, y: point.y * this.config.heightPx }
+  }
+
+  /**
+   * Screen CSS px to normalized [0,1]
+   */
+  pxToNormalized(point: { x: number; y: number }): { x: number; y: number } {
+    return { x: point.x / this.config.widthPx, y: point.y / this.config.heightPx }
+  }
+
+  /**
+   * CSS px to physical device px
+   */
+  cssToDevicePx(point: { x: number; y: number }): { x: number; y: number } {
+    return { x: point.x * this.config.devicePixelRatio, y: point.y * this.config.devicePixelRatio }
+  }
+
+  /**
+   * Physical device px to CSS px
+   */
+  devicePxToCss(point: { x: number; y: number }): { x: number; y: number } {
+    return { x: point.x / this.config.devicePixelRatio, y: point.y / this.config.devicePixelRatio }
+  }
+
+  /**
+   * Normalized point to mm from the screen's top-left corner
+   */
+  normalizedToMm(point: { x: number; y: number }): { x: number; y: number } {
+    return { x: point.x * this.config.widthMm, y: point.y * this.config.heightMm }
+  }
+
+  /**
+   * mm from the screen's top-left corner to normalized [0,1]
+   */
+  mmToNormalized(point: { x: number; y: number }): { x: number; y: number } {
+    return { x: point.x / this.config.widthMm, y: point.y / this.config.heightMm }
+  }
+
+  /**
+   * Horizontal and vertical visual angle of a point from the screen centre (degrees)
+   */
+  normalizedToDegrees(point: { x: number; y: number }): { x: number; y: number } {
+    const distance = this.getViewingDistance()
+    return {
+      x: toDegrees(Math.atan(((point.x - 0.5) * this.config.widthMm) / distance)),
+      y: toDegrees(Math.atan(((point.y - 0.5) * this.config.heightMm) / distance))
+    }
+  }
+
+  /**
+   * Normalized point at a horizontal and vertical visual angle from the screen centre
+   */
+  degreesToNormalized(angle: { x: number; y: number }): { x: number; y: number } {
+    const distance = this.getViewingDistance()
+    return {
+      x: 0.5 + (Math.tan(toRadians(angle.x)) * distance) / this.config.widthMm,
+      y: 0.5 + (Math.tan(toRadians(angle.y)) * distance) / this.config.heightMm
+    }
+  }
+
+  /**
+   * Visual angle between two normalized points as seen from the eye (degrees)
+   */
+  angleBetween(a: { x: number; y: number }, b: { x: number; y: number }): number {
+    const distance = this.getViewingDistance()
+    const va = this.toEyeVector(a, distance)
+    const vb = this.toEyeVector(b, distance)
+    const dot = va.x * vb.x + va.y * vb.y + va.z * vb.z
+    const cross = Math.hypot(
+      va.y * vb.z - va.z * vb.y,
+      va.z * vb.x - va.x * vb.z,
+      va.x * vb.y - va.y * vb.x
+    )
+    // atan2 stays accurate for the tiny angles typical of precision
+    return toDegrees(Math.atan2(cross, dot))
+  }
+
+  /**
+   * Size on screen (mm) that subtends `degrees` at the screen centre
+   */
+  degreesToMm(degrees: number): number {
+    return 2 * this.getViewingDistance() * Math.tan(toRadians(degrees) / 2)
+  }
+
+  /**
+   * Visual angle subtended by `mm` at the screen centre
+   */
+  mmToDegrees(mm: number): number {
+    return toDegrees(2 * Math.atan(mm / (2 * this.getViewingDistance())))
+  }
+
+  /**
+   * CSS px per degree at the screen centre, e.g. for sizing stimuli and AOI margins
+   */
+  pxPerDegree(): number {
+    return this.degreesToMm(1) * (this.config.widthPx / this.config.widthMm)
+  }
+
+  private toEyeVector(point: { x: number; y: number }, distance: number): { x: number; y: number; z: number } {
+    return {
+      x: (point.x - 0.5) * this.config.widthMm,
+      y: (point.y - 0.5) * this.config.heightMm,
+      z: distance
+    }
+  }
+}
+
+function toDegrees(radians: number): number {
+  return radians * 180 / Math.PI
+}
+
+function toRadians(degrees: number): number {
+  return degrees * Math.PI / 180
+}
\ No newline at end of file
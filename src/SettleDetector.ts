@@ -0,0 +1,175 @@
+/**
+ * Gaze and head-position settling for calibration point acceptance
+ * A point is sent once the tracked position has stayed within a
+ * dispersion threshold for settleWindow ms, or after maxDuration
+ */
+
+import { CalibrationTimingConfig, TrackerOutput } from './types'
+
+interface Position {
+  t: number
+  x: number
+  y: number
+}
+
+interface Waiter {
+  shownAt: number
+  resolve: (settled: boolean | null) => void
+  timer: ReturnType<typeof setTimeout>
+}
+
+export class SettleDetector {
+  private config: Required<CalibrationTimingConfig>
+  private history: Position[] = []
+  private waiter: Waiter | null = null
+
+  constructor(config?: CalibrationTimingConfig) {
+    this.config = {
+      pointDuration: config?.pointDuration ?? 3000,
+      acceptance: config?.acceptance ?? 'fixed',
+      minDuration: config?.minDuration ?? 500,
+      maxDuration: config?.maxDuration ?? 5000,
+      settleWindow: config?.settleWindow ?? 300,
+      gazeDispersion: config?.gazeDispersion ?? 0.05,
+      headMovement: config?.headMovement ?? 10,
+      collectDuration: config?.collectDuration ?? 1000
+    }
+  }
+
+  /**
+   * Current timing settings
+   */
+  getConfig(): Required<CalibrationTimingConfig> {
+    return { ...this.config }
+  }
+
+  /**
+   * Update timing settings; applies from the next point
+   */
+  updateConfig(config: CalibrationTimingConfig): void {
+    Object.assign(this.config, config)
+  }
+
+  /**
+   * Wait until the current point can be sent
+   * @returns Resolves true when it settled, false on a fixed dwell or maxDuration,
+   * null when the wait was cancelled
+   */
+  wait(): Promise<boolean | null> {
+    this.cancel()
+
+    if (this.config.acceptance === 'fixed') {
+      return new Promise(resolve => {
+        this.waiter = {
+          shownAt: performance.now(),
+          resolve,
+          timer: setTimeout(() => this.finish(false), this.config.pointDuration)
+        }
+      })
+    }
+
+    this.history = []
+    return new Promise(resolve => {
+      this.waiter = {
+        shownAt: performance.now(),
+        resolve,
+        timer: setTimeout(() => this.finish(false), this.config.maxDuration)
+      }
+    })
+  }
+
+  /**
+   * End the wait in progress now, e.g. when the operator accepts the point
+   * @returns false when nothing was waiting
+   */
+  accept(): boolean {
+    if (!this.waiter) return false
+    this.finish(false)
+    return true
+  }
+
+  /**
+   * Abandon the wait in progress; its promise resolves null
+   */
+  cancel(): void {
+    const waiter = this.waiter
+    if (waiter) {
+      clearTimeout(waiter.timer)
+      this.waiter = null
+    }
+    this.history = []
+    waiter?.resolve(null)
+  }
+
+  /**
+   * Feed one tracker output while a point is waiting
+   */
+  process(output: TrackerOutput, timestamp: number): void {
+    const waiter = this.waiter
+    if (!waiter || this.config.acceptance === 'fixed') return
+
+    const position = this.config.acceptance === 'gaze'
+      ? this.gazePosition(output)
+      : this.headPosition(output)
+
+    // Losing the eyes restarts the window
+    if (!position) {
+      this.history = []
+      return
+    }
+
+    this.history.push({ t: timestamp, ...position })
+    while (this.history.length > 1 && timestamp - this.history[1].t >= this.config.settleWindow) {
+      this.history.shift()
+    }
+
+    if (timestamp - waiter.shownAt < this.config.minDuration) return
+    if (timestamp - this.history[0].t < this.config.settleWindow) return
+
+    const threshold = this.config.acceptance === 'gaze' ? this.config.gazeDispersion : this.config.headMovement
+    if (this.dispersion(this.history) <= threshold) {
+      this.finish(true)
+    }
+  }
+
+  private finish(settled: boolean): void {
+    const waiter = this.waiter
+    if (!waiter) return
+    clearTimeout(waiter.timer)
+    this.waiter = null
+    this.history = []
+    waiter.resolve(settled)
+  }
+
+  private gazePosition(output: TrackerOutput): { x: number; y: number } | null {
+    const points = [output.tLeftScreenPoint, output.tRightScreenPoint].filter(p => !!p)
+    if (points.length === 0) return null
+    return {
+      x: points.reduce((sum, p) => sum + p!.f32X, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p!.f32Y, 0) / points.length
+    }
+  }
+
+  private headPosition(output: TrackerOutput): { x: number; y: number } | null {
+    const boxes = [
+      output.haveLeftEyeInfo ? output.tLeftEyeInfo?.tBbox : undefined,
+      output.haveRightEyeInfo ? output.tRightEyeInfo?.tBbox : undefined
+    ].filter(b => !!b)
+    if (boxes.length === 0) return null
+    return {
+      x: boxes.reduce((sum, b) => sum + b!.n32Left + b!.n32Width / 2, 0) / boxes.length,
+      y: boxes.reduce((sum, b) => sum + b!.n32Top + b!.n32Height / 2, 0) / boxes.length
+    }
+  }
+
+  private dispersion(positions: Position[]): number {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity
+    positions.forEach(p => {
+      minX = Math.min(minX, p.x)
+      maxX = Math.max(maxX, p.x)
+      minY = Math.min(minY, p.y)
+      maxY = Math.max(maxY, p.y)
+    })
+    return (maxX - minX) + (maxY - minY)
+  }
+}
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * Validation UI Manager
+ * Draws the targets of EyeTracker.validate() on a canvas
+ */
+
+import { EyeTracker } from './EyeTracker'
+
+export interface ValidationUIConfig {
+  canvas?: HTMLCanvasElement | string
+  pointSize?: number
+  pointColor?: string
+  backgroundColor?: string
+  showInstructions?: boolean
+  instructionText?: string
+  autoFullscreen?: boolean
+  moveDuration?: number   // Glide the target to its next position between targets (ms); 0 hides it instead
+}
+
+export class ValidationUI {
+  private tracker: EyeTracker
+  private canvas: HTMLCanvasElement | null = null
+  private ctx: CanvasRenderingContext2D | null = null
+  private config: Required<ValidationUIConfig>
+  private targets: Array<{ x: number; y: number }> = []
+  private currentPointIndex: number = -1
+  private previousPointIndex: number = -1   // Target the glide starts from
+  private gapStartedAt: number = 0
+  private isVisible: boolean = false
+  private animationFrame: number | null = null
+  private startedHandler = (data: { points: Array<{ x: number; y: number }> }) => {
+    this.targets = data.points
+    this.start()
+  }
+  private progressHandler = (data: { current: number; total: number }) => {
+    // current is -1 between targets
+    if (data.current === -1) {
+      this.previousPointIndex = this.currentPointIndex
+      this.gapStartedAt = performance.now()
+    }
+    this.currentPointIndex = data.current
+  }
+  private endHandler = () => {
+    this.hide()
+  }
+
+  constructor(tracker: EyeTracker, config?: ValidationUIConfig) {
+    this.tracker = tracker
+
+    this.config = {
+      canvas: (config?.canvas || null) as any,
+      pointSize: config?.pointSize ?? 20,
+      pointColor: config?.pointColor ?? '#FF5722',
+      backgroundColor: config?.backgroundColor ?? 'rgba(0, 0, 0, 0.95)',
+      showInstructions: config?.showInstructions ?? false,
+      instructionText: config?.instructionText ?? 'Look at the center of each dot',
+      autoFullscreen: config?.autoFullscreen ?? true,
+      moveDuration: config?.moveDuration ?? 0
+    }
+
+    if (this.config.canvas) {
+      this.setCanvas(this.config.canvas)
+    }
+
+    this.tracker.on('validationStarted', this.startedHandler)
+    this.tracker.on('validationProgress', this.progressHandler)
+    this.tracker.on('validationComplete', this.endHandler)
+    this.tracker.on('validationCancelled', this.endHandler)
+  }
+
+  /**
+   * Set or change the canvas element
+   */
+  setCanvas(canvas: HTMLCanvasElement | string): void {
+    if (typeof canvas === 'string') {
+      const element = document.querySelector(canvas) as HTMLCanvasElement
+      if (!element) {
+        console.warn(`Canvas element ${canvas} not found`)
+        return
+      }
+      this.canvas = element
+    } else {
+      this.canvas = canvas
+    }
+
+    const ctx = this.canvas.getContext('2d')
+    if (!ctx) {
+      console.warn('Failed to get 2D context from canvas')
+      return
+    }
+    this.ctx = ctx
+  }
+
+  /**
+   * Show the validation canvas (called automatically on validationStarted)
+   */
+  start(): void {
+    if (!this.canvas) {
+      console.warn('No canvas set for validation UI')
+      return
+    }
+
+    this.isVisible = true
+    this.currentPointIndex = -1
+    this.previousPointIndex = -1
+
+    if (this.config.autoFullscreen && document.fullscreenElement === null) {
+      document.documentElement.requestFullscreen().catch(err => {
+        console.warn('Failed to enter fullscreen:', err)
+      })
+    }
+
+    this.canvas.style.display = 'block'
+    this.animate()
+  }
+
+  /**
+   * Animation loop
+   */
+  private animate(): void {
+    if (!this.isVisible || !this.ctx || !this.canvas) {
+      return
+    }
+
+    this.ctx.fillStyle = this.config.backgroundColor
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
+
+    const target = this.targets[this.currentPointIndex] ?? this.movingTarget()
+    if (target) {
+      this.drawTarget(target)
+    }
+
+    if (this.config.showInstructions) {
+      this.drawInstructions()
+    }
+
+    this.animationFrame = requestAnimationFrame(() => this.animate())
+  }
+
+  /**
+   * Between targets, the position on the way from the last target to the next, or null
+   */
+  private movingTarget(): { x: number; y: number } | null {
+    const from = this.targets[this.previousPointIndex]
+    const to = this.targets[this.previousPointIndex + 1]
+    if (this.config.moveDuration <= 0 || !from || !to) return null
+
+    const progress = Math.min(1, (performance.now() - this.gapStartedAt) / this.config.moveDuration)
+    // Ease in and out
+    const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2
+    return {
+      x: from.x + (to.x - from.x) * eased,
+      y: from.y + (to.y - from.y) * eased
+    }
+  }
+
+  /**
+   * Draw a static target - no pulsing, so the measured spread is the eye's, not the stimulus'
+   * Targets are in normalized screen coordinates, the space the gaze error is measured in,
+   * so they go through the coordinate mapper rather than scaling by the canvas
+   */
+  private drawTarget(target: { x: number; y: number }): void {
+    if (!this.ctx || !this.canvas) return
+
+    const { x, y } = this.tracker.getCoordinateMapper().screenToCanvas(target, this.canvas)
+    if (Number.isNaN(x)) return
+
+    this.ctx.beginPath()
+    this.ctx.arc(x, y, this.config.pointSize, 0, Math.PI * 2)
+    this.ctx.fillStyle = this.config.pointColor
+    this.ctx.fill()
+
+    this.ctx.beginPath()
+    this.ctx.arc(x, y, 3, 0, Math.PI * 2)
+    this.ctx.fillStyle = 'white'
+    this.ctx.fill()
+  }
+
+  /**
+   * Draw instruction text and progress
+   */
+  private drawInstructions(): void {
+    if (!this.ctx || !this.canvas) return
+
+    this.ctx.font = '14px Arial'
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)'
+    this.ctx.textAlign = 'center'
+    this.ctx.textBaseline = 'top'
+    this.ctx.fillText(this.config.instructionText, this.canvas.width / 2, 20)
+
+    if (this.currentPointIndex >= 0) {
+      this.ctx.textBaseline = 'bottom'
+      this.ctx.fillText(
+        `${this.currentPointIndex + 1} / ${this.targets.length}`,
+        this.canvas.width / 2,
+        this.canvas.height - 20
+      )
+    }
+  }
+
+  /**
+   * Hide validation UI
+   */
+  hide(): void {
+    this.isVisible = false
+
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame)
+      this.animationFrame = null
+    }
+
+    if (this.canvas) {
+      this.canvas.style.display = 'none'
+      if (this.ctx) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+      }
+    }
+  }
+
+  /**
+   * Set canvas size
+   */
+  setSize(width: number, height: number): void {
+    if (!this.canvas) return
+    this.canvas.width = width
+    this.canvas.height = height
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(config: Partial<ValidationUIConfig>): void {
+    Object.assign(this.config, config)
+    if (config.canvas) {
+      this.setCanvas(config.canvas)
+    }
+  }
+
+  /**
+   * Stop listening to the tracker and release the canvas
+   */
+  destroy(): void {
+    this.hide()
+    this.tracker.off('validationStarted', this.startedHandler)
+    this.tracker.off('validationProgress', this.progressHandler)
+    this.tracker.off('validationComplete', this.endHandler)
+    this.tracker.off('validationCancelled', this.endHandler)
+    this.canvas = null
+    this.ctx = null
+  }
+}
\ No newline at end of file
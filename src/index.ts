@@ -4,21 +4,111 @@
  */
 
 // Main imports and exports
-import { EyeTracker } from './EyeTracker'
+import { EyeTracker, CALIBRATION_PATTERNS, CALIBRATION_SNAPSHOT_VERSION } from './EyeTracker'
 import { CalibrationUI } from './CalibrationUI'
+import {
+  PulsingCircleTarget,
+  BullseyeTarget,
+  CrosshairTarget,
+  ImageTarget,
+  CustomTarget,
+  createCalibrationTarget
+} from './CalibrationTargets'
+import { ValidationUI } from './ValidationUI'
 import { CanvasRenderer } from './CanvasRenderer'
 import { CameraOverlay } from './CameraOverlay'
 import { DataBuffer } from './DataBuffer'
 import { EventEmitter } from './EventEmitter'
+import { ClockSync } from './ClockSync'
+import { BlinkDetector } from './BlinkDetector'
+import { GazeEventDetector, detectGazeEvents } from './GazeEventDetector'
+import { AOITracker } from './AOITracker'
+import {
+  GazeFilterPipeline,
+  OneEuroFilter,
+  MovingAverageFilter,
+  MedianFilter,
+  KalmanFilter,
+  createGazeFilter
+} from './GazeFilters'
+import {
+  AffineCorrection,
+  PolynomialCorrection,
+  createGazeCorrection,
+  deserializeGazeCorrection,
+  correctionPairs
+} from './GazeCorrection'
+import { ACCURACY_ZERO_ERROR, measurePoint, summarizeQuality } from './CalibrationQuality'
+import { ScreenGeometry } from './ScreenGeometry'
+import { CoordinateMapper } from './CoordinateMapper'
+import { Pupillometry, analyzePupil, extractPupilSamples, pupilDiameter } from './Pupillometry'
 import { DeviceStatus, CoreConfig } from './types'
 
 // Re-export everything
-export { EyeTracker }
+export { EyeTracker, CALIBRATION_PATTERNS, CALIBRATION_SNAPSHOT_VERSION }
 export { CalibrationUI }
+export {
+  PulsingCircleTarget,
+  BullseyeTarget,
+  CrosshairTarget,
+  ImageTarget,
+  CustomTarget,
+  createCalibrationTarget
+}
+export type {
+  CalibrationTargetRenderer,
+  CalibrationTargetConfig,
+  TargetCueConfig,
+  TargetDrawFunction,
+  TargetState
+} from './CalibrationTargets'
+export { ValidationUI, type ValidationUIConfig } from './ValidationUI'
 export { CanvasRenderer }
 export { CameraOverlay, type CameraOverlayConfig } from './CameraOverlay'
 export { DataBuffer }
 export { EventEmitter }
+export { ClockSync }
+export { BlinkDetector }
+export { GazeEventDetector, detectGazeEvents }
+export {
+  GazeFilterPipeline,
+  OneEuroFilter,
+  MovingAverageFilter,
+  MedianFilter,
+  KalmanFilter,
+  createGazeFilter
+}
+export type {
+  GazeEventDetectorConfig,
+  GazeEventMap,
+  GazeEventResult,
+  Fixation,
+  Saccade,
+  GazeGap
+} from './GazeEventDetector'
+export { AOITracker }
+export type { AOIShape, AOITrackerConfig, AOIStats, AOITransition, AOIEventMap } from './AOITracker'
+export {
+  AffineCorrection,
+  PolynomialCorrection,
+  createGazeCorrection,
+  deserializeGazeCorrection,
+  correctionPairs
+}
+export { ACCURACY_ZERO_ERROR, measurePoint, summarizeQuality }
+export { ScreenGeometry }
+export { CoordinateMapper }
+export type { QualitySummary } from './CalibrationQuality'
+export { Pupillometry, analyzePupil, extractPupilSamples, pupilDiameter }
+export type {
+  PupillometryConfig,
+  PupilSample,
+  PupilTraceSample,
+  PupilBaselineWindow,
+  PupilEyeSummary,
+  PupilSummary,
+  PupilAnalysis
+} from './Pupillometry'
 export { DeviceStatus }
 
 // Type exports
@@ -32,7 +122,37 @@ export type {
   EventMap,
   TrackerOutput,
   EyeInfo,
-  SightLine
+  SightLine,
+  EndpointFailure,
+  DeviceReply,
+  DeviceReplyMap,
+  DeviceProfile,
+  EyeType,
+  ClockSyncConfig,
+  ClockSyncEstimate,
+  EyeSample,
+  PupilEllipse,
+  Point2D,
+  Point3D,
+  BlinkDetectionConfig,
+  GazeFilter,
+  GazeFilterConfig,
+  CalibrationPattern,
+  CalibrationTimingConfig,
+  ValidationConfig,
+  ValidationResult,
+  ScreenGeometryConfig,
+  CoordinateMappingConfig,
+  CalibrationSnapshot,
+  RestoreCalibrationOptions,
+  VerifyCalibrationOptions,
+  CalibrationVerification,
+  DriftCheckConfig,
+  DriftCheckResult,
+  GazeCorrectionModel,
+  GazeCorrectionPair,
+  GazeCorrectionType,
+  SerializedGazeCorrection
 } from './types'
 
 // Factory function
@@ -47,11 +167,44 @@ export const VERSION = '0.0.1' // This is updated automatically during build
 if (typeof window !== 'undefined') {
   (window as any).IrisPointEyeTracking = {
     EyeTracker,
+    CALIBRATION_PATTERNS,
+    CALIBRATION_SNAPSHOT_VERSION,
     CalibrationUI,
+    PulsingCircleTarget,
+    BullseyeTarget,
+    CrosshairTarget,
+    ImageTarget,
+    CustomTarget,
+    createCalibrationTarget,
+    ValidationUI,
     CanvasRenderer,
     CameraOverlay,
     DataBuffer,
     EventEmitter,
+    ClockSync,
+    BlinkDetector,
+    GazeEventDetector,
+    detectGazeEvents,
+    AOITracker,
+    GazeFilterPipeline,
+    OneEuroFilter,
+    MovingAverageFilter,
+    MedianFilter,
+    KalmanFilter,
+    createGazeFilter,
+    AffineCorrection,
+    PolynomialCorrection,
+    createGazeCorrection,
+    deserializeGazeCorrection,
+    correctionPairs,
+    Pupillometry,
+    analyzePupil,
+    extractPupilSamples,
+    pupilDiameter,
+    measurePoint,
+    summarizeQuality,
+    ScreenGeometry,
+    CoordinateMapper,
     createEyeTracker,
     DeviceStatus,
     VERSION
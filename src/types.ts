@@ -15,6 +15,61 @@ export interface GazeData {
     x: number
     y: number
   }
+  correctedTimestamp?: number  // Estimated capture time on the host clock (timestamp - latency)
+  deviceTimestamp?: number     // Estimated capture time on the device clock
+  latency?: number             // Estimated device-to-host latency in ms
+  blink?: boolean              // Sample falls within a detected blink
+  raw?: {                      // Device x/y when a gaze filter or correction is active (x/y are then adjusted)
+    x: number
+    y: number
+  }
+  eyes?: {                     // Full per-eye data, only when CoreConfig.richSamples is set
+    left: EyeSample
+    right: EyeSample
+  }
+  viewport?: Point2D           // Gaze in viewport CSS px, only when CoreConfig.viewportSamples is set
+  page?: Point2D               // Gaze in page CSS px (viewport plus scroll), with viewport
+}
+
+export interface Point2D {
+  x: number
+  y: number
+}
+
+export interface Point3D {
+  x: number
+  y: number
+  z: number
+}
+
+/**
+ * Pupil ellipse in camera image pixels
+ */
+export interface PupilEllipse {
+  width: number
+  height: number
+  angle: number
+}
+
+/**
+ * Per-eye data from TrackerOutput in plain units
+ * Optional fields are missing when the device didn't report them
+ */
+export interface EyeSample {
+  valid: boolean                  // Device found the eye (haveLeftEyeInfo/haveRightEyeInfo)
+  screenPointValid: boolean       // Device produced a gaze point for this eye
+  screenPoint?: Point2D
+  pupil?: PupilEllipse
+  pupilCenter?: Point2D           // Camera image pixels
+  glints?: Point2D[]              // Purkinje reflections, camera image pixels
+  bbox?: {                        // Eye region, camera image pixels
+    left: number
+    top: number
+    width: number
+    height: number
+  }
+  corneaCenter?: Point3D          // From the 3D sight line
+  gazeDirection?: Point3D         // From the 3D sight line
 }
 
 export interface EyeInfo {
@@ -73,16 +128,130 @@ export interface CalibrationPoint {
   x: number           // Normalized [0,1]
   y: number           // Normalized [0,1]
   samples?: GazeData[]
-  error?: number
+  error?: number      // Distance from the target to the mean gaze, normalized units
+  precision?: number  // RMS distance between successive samples, normalized units
+  sd?: number         // Spread of the samples around their mean, sqrt(SDx² + SDy²), normalized units
+  errorDeg?: number      // The same three measures in degrees of visual angle,
+  precisionDeg?: number  // when the screen geometry is configured
+  sdDeg?: number
+  gaze?: { x: number; y: number }  // Mean gaze while the point was shown
+  sampleCount?: number
 }
 
+/**
+ * Calibration pattern: a built-in point count or custom normalized [0,1] positions
+ */
+export type CalibrationPattern = 5 | 9 | 13 | Array<{ x: number; y: number }>
+
+/**
+ * Calibration flow: idle → presenting → collecting → awaiting-device → presenting … → checking → (reviewing →) done/failed
+ * - presenting: a point is shown and its dwell is running (or paused)
+ * - collecting: the point's command was sent; samples are recorded for collectDuration ms
+ *   or until the device finishes it, whichever is first
+ * - awaiting-device: samples are in but the device has not finished the point yet
+ * - checking: every point finished; waiting for the device's calibration result
+ * - reviewing: with setCalibrationReview(true), the device accepted the calibration
+ *   and it waits for acceptCalibration()
+ * - failed: the device rejected the calibration
+ * - cancelled: cancelled, stopped, or the connection dropped
+ */
+export type CalibrationState =
+  | 'idle'
+  | 'presenting'
+  | 'collecting'
+  | 'awaiting-device'
+  | 'checking'
+  | 'reviewing'
+  | 'done'
+  | 'failed'
+  | 'cancelled'
+
+/**
+ * Outcome of a calibration
+ * The gaze in points and collection was recorded while each point was collected,
+ * so it went through the mapping in effect before this calibration. It shows
+ * whether the participant fixated the targets, not how accurate the new
+ * calibration is; run validate() afterwards for that
+ */
 export interface CalibrationResult {
   success: boolean
-  points: CalibrationPoint[]
+  points: CalibrationPoint[]                      // Targets with the gaze recorded while each was collected
+  collection?: Omit<ValidationResult, 'points'>   // Offset and precision of that gaze
+  /** @deprecated 0-1 score, 1 - collection.meanError / ACCURACY_ZERO_ERROR clamped at 0; use collection */
   accuracy?: number
+  deviceReport?: Record<string, any>  // Any further fields in the device's checkCabliration reply
   error?: string
 }
 
+export interface ValidationConfig {
+  points?: CalibrationPattern   // Validation targets (default 9-point grid)
+  pointDuration?: number        // How long each target is shown (ms)
+  settleTime?: number           // Samples in the first settleTime ms of each target are discarded
+  interPointDelay?: number      // Blank interval between targets (ms)
+}
+
+export interface ValidationResult {
+  points: CalibrationPoint[]
+  meanError?: number     // Mean per-point error, normalized units
+  precision?: number     // Mean per-point RMS sample-to-sample distance, normalized units
+  sd?: number            // Mean per-point SD precision, normalized units
+  meanErrorDeg?: number  // Degree versions of meanError, precision and sd,
+  precisionDeg?: number  // when the screen geometry is configured
+  sdDeg?: number
+  validPoints: number    // Points with enough samples to measure
+}
+
+export interface DriftCheckConfig {
+  target?: { x: number; y: number }   // Fixation target, normalized (default screen centre)
+  pointDuration?: number              // How long the target is shown (ms)
+  settleTime?: number                 // Samples in the first settleTime ms are discarded
+  maxOffset?: number                  // Largest drift that is corrected (normalized units)
+  maxOffsetDeg?: number               // Used instead of maxOffset when the screen geometry is configured
+  applyCorrection?: boolean           // Shift later gazeData by the measured drift (default true)
+}
+
+export interface DriftCheckResult {
+  target: { x: number; y: number }
+  point: CalibrationPoint                 // Measured against the gaze as it was corrected during the check
+  offset?: { x: number; y: number }       // Drift since calibration (uncorrected gaze minus target); absent with too few samples
+  offsetDistance?: number                 // Length of offset, normalized units
+  offsetDeg?: number                      // Length of offset in degrees, when the screen geometry is configured
+  correction: { x: number; y: number } | null  // Correction in effect after the check
+  corrected: boolean                      // This check changed the correction
+  needsRecalibration: boolean             // Drift above the threshold, or too few samples to measure it
+}
+
+/**
+ * Exported calibration state for reuse in a later session (plain JSON)
+ */
+export interface CalibrationSnapshot {
+  version: number
+  calibratedAt: number                    // Date.now() when the calibration finished
+  exportedAt: number
+  device: DeviceInfo
+  deviceProfile: Required<DeviceProfile>
+  calibrationPoints: Array<{ x: number; y: number }>
+  calibration: CalibrationResult          // Per-point samples are left out
+  validation: ValidationResult | null     // Last validation after this calibration, if any
+  screen: Required<ScreenGeometryConfig>
+  gazeCorrection?: SerializedGazeCorrection | null  // Client-side correction in effect at export
+}
+
+export interface RestoreCalibrationOptions {
+  maxAge?: number           // Reject snapshots calibrated longer ago than this (ms)
+}
+
+export interface VerifyCalibrationOptions extends ValidationConfig {
+  maxError?: number         // Pass when the mean error is at most this (normalized units)
+  maxErrorDeg?: number      // Used instead of maxError when the result has degrees
+}
+
+export interface CalibrationVerification {
+  passed: boolean
+  validation: ValidationResult
+  reference: ValidationResult | null      // The snapshot's validation, for comparison
+}
+
 export enum DeviceStatus {
   DISCONNECTED = 'disconnected',
   CONNECTING = 'connecting',
@@ -98,28 +267,179 @@ export interface DeviceInfo {
   samplingRate: number
 }
 
+export type EyeType = 'both' | 'left' | 'right'
+
+/**
+ * Device initialization profile sent with init_et10c
+ */
+export interface DeviceProfile {
+  eyeType?: EyeType             // Which eye(s) to track - 'left'/'right' for monocular participants
+  resolution?: string           // Camera resolution as 'WIDTHxHEIGHT', e.g. '1640x1232'
+  frameRate?: number            // Camera frame rate in Hz, also the sampling rate
+  calibrationPoints?: number    // Number of calibration points (5, 9 or 13); CoreConfig.calibrationPoints takes precedence
+  screenType?: number           // HH screen type index
+}
+
+export interface ClockSyncConfig {
+  enabled?: boolean             // Sync automatically after connecting
+  probes?: number               // Round trips per sync; the lowest-RTT probe is kept
+  probeInterval?: number        // Delay between probes in ms
+  resyncInterval?: number       // Re-sync period in ms (0 disables periodic re-sync)
+  deviceTimeScale?: number      // Device clock units per millisecond (1 = ms, 1000 = µs)
+  historySize?: number          // Sync rounds kept for drift estimation
+}
+
+export interface ClockSyncEstimate {
+  offset: number      // Device minus host clock in ms at hostTime
+  drift: number       // Change in offset per host ms
+  rtt: number         // Round-trip time of the best probe in ms
+  hostTime: number    // Host time (performance.now()) of the best probe
+  rounds: number      // Sync rounds used for the drift fit
+}
+
+export interface BlinkDetectionConfig {
+  enabled?: boolean             // Detect blinks from eye validity and pupil collapse
+  minDuration?: number          // Shorter closures are ignored as noise (ms)
+  maxDuration?: number          // Longer closures are reported as tracking loss (ms)
+  collapseRatio?: number        // Pupil below this fraction of its running size counts as closed
+  flagPadding?: number          // Also flag buffered samples this many ms before a blink
+}
+
+export interface ScreenGeometryConfig {
+  widthMm?: number              // Physical width of the display area; mm/degrees need width and height
+  heightMm?: number
+  widthPx?: number              // Screen size in CSS px (default window.screen)
+  heightPx?: number
+  devicePixelRatio?: number     // Device px per CSS px (default window.devicePixelRatio)
+  viewingDistanceMm?: number    // Eye-to-screen distance (default 600)
+  estimateDistance?: boolean    // Track the distance from the sight-line cornea depth instead
+  corneaZScale?: number         // mm per unit of tCorneaCenter.f32Z
+}
+
+export interface CoordinateMappingConfig {
+  zoom?: number                 // Page zoom, screen px per CSS px (default from devicePixelRatio or the window size)
+  baseDevicePixelRatio?: number // devicePixelRatio at 100% zoom; zoom is then devicePixelRatio / this
+  viewportOrigin?: Point2D      // Viewport top-left in screen px (default from window position and browser chrome)
+}
+
+export interface CalibrationTimingConfig {
+  pointDuration?: number        // 'fixed': dwell on each point before its command is sent (ms)
+  acceptance?: 'fixed' | 'gaze' | 'head'  // 'gaze'/'head': send once gaze or eye position has settled
+  minDuration?: number          // Settled modes: earliest the command is sent after the point appears (ms)
+  maxDuration?: number          // Settled modes: send anyway after this long (ms)
+  settleWindow?: number         // Settled modes: stability must hold for this long (ms)
+  gazeDispersion?: number       // 'gaze': max x range + y range of the gaze point over the window
+  headMovement?: number         // 'head': max x range + y range of the eye-box centre, camera pixels
+  collectDuration?: number      // Samples are recorded for this long after a point's command is sent (ms)
+}
+
+/**
+ * A real-time smoothing filter over gaze x/y
+ */
+export interface GazeFilter {
+  filter(x: number, y: number, timestamp: number): { x: number; y: number }
+  reset(): void
+}
+
+export type GazeFilterConfig =
+  | { type: 'oneEuro'; minCutoff?: number; beta?: number; dCutoff?: number }
+  | { type: 'movingAverage'; windowSize?: number }
+  | { type: 'median'; windowSize?: number }
+  | { type: 'kalman'; processNoise?: number; measurementNoise?: number }
+
+/**
+ * A client-side mapping from measured gaze to screen position, applied after filtering
+ */
+export interface GazeCorrectionModel {
+  readonly type: string
+  fit(pairs: GazeCorrectionPair[]): void
+  apply(x: number, y: number): { x: number; y: number }
+  serialize(): SerializedGazeCorrection
+}
+
+export interface GazeCorrectionPair {
+  gaze: { x: number; y: number }     // Mean uncorrected gaze at the target
+  target: { x: number; y: number }
+}
+
+export type GazeCorrectionType = 'affine' | 'polynomial'
+
+/**
+ * Plain JSON form of a fitted correction model
+ */
+export interface SerializedGazeCorrection {
+  type: string
+  coefficients: { x: number[]; y: number[] }   // One weight per model term, per axis
+}
+
 export interface CoreConfig {
-  wsUrl?: string | string[]      // WebSocket URL(s) to try
-  reconnectAttempts?: number     // Number of reconnect attempts
-  reconnectDelay?: number        // Delay between reconnects in ms
+  wsUrl?: string | string[]      // WebSocket URL(s) to try, in order
+  connectTimeout?: number        // Per-URL connection attempt timeout in ms
+  commandTimeout?: number        // How long to wait for a device reply before rejecting (ms)
+  reconnectAttempts?: number     // Number of reconnect attempts after an unexpected close (0 disables)
+  reconnectDelay?: number        // Base delay between reconnects in ms, doubled per attempt
+  reconnectMaxDelay?: number     // Upper bound for the backoff delay in ms
   bufferSize?: number           // Size of internal data buffer
   autoConnect?: boolean         // Auto-connect on initialization
   autoInitialize?: boolean      // Auto-initialize device and light after connection
   initDelay?: number            // Delay between init device and init light (ms)
   debug?: boolean              // Enable debug logging
+  deviceProfile?: DeviceProfile // Device initialization profile
+  clockSync?: ClockSyncConfig   // Device-to-host clock synchronization
+  richSamples?: boolean         // Attach full per-eye data (GazeData.eyes) to every sample
+  blinkDetection?: BlinkDetectionConfig
+  filters?: Array<GazeFilterConfig | GazeFilter>  // Smoothing applied in order before gazeData is emitted
+  calibrationPoints?: CalibrationPattern           // Calibration target layout (default 5-point)
+  calibrationTiming?: CalibrationTimingConfig      // When each calibration point command is sent
+  screen?: ScreenGeometryConfig                    // Physical screen and viewing distance, for degrees
+  coordinateMapping?: CoordinateMappingConfig      // Screen to browser viewport mapping
+  viewportSamples?: boolean                        // Attach viewport and page px (GazeData.viewport/page) to every sample
+}
+
+export interface EndpointFailure {
+  url: string
+  reason: string      // Why the attempt failed (error, close code or timeout)
+  timestamp: number   // Date.now() when the attempt failed
 }
 
+/**
+ * Device reply fields that commands can wait on, with their resolved value types
+ */
+export interface DeviceReplyMap {
+  currTimeStamp: number
+  statusCode: string
+  nFinishedNum: number
+  cablicFinished: boolean
+}
+
+export type DeviceReply = keyof DeviceReplyMap
+
 export type EventCallback<T = any> = (data: T) => void
 
 export interface EventMap {
   connected: void
+  endpointSelected: { url: string; failures: EndpointFailure[] }
+  reconnecting: { attempt: number; maxAttempts: number; delay: number }
+  reconnected: { attempt: number; url: string }
   disconnected: void
   error: Error
   ready: { initialized: boolean }
   statusChanged: DeviceStatus
   gazeData: GazeData
   calibrationStarted: { points: number }
+  calibrationStateChanged: { state: CalibrationState; previous: CalibrationState }
   calibrationProgress: { current: number; total: number }
+  calibrationPointSent: { index: number; waited: number; settled: boolean }
+  calibrationPaused: { index: number | null }    // Point shown and not yet sent, if any
+  calibrationResumed: { index: number | null }
+  validationStarted: { points: Array<{ x: number; y: number }> }
+  validationProgress: { current: number; total: number }
+  validationComplete: ValidationResult
+  validationCancelled: void
+  driftCheckStarted: { target: { x: number; y: number } }
+  driftCheckComplete: DriftCheckResult
+  driftCheckCancelled: void
+  calibrationReview: CalibrationResult    // Waiting for acceptCalibration(), see setCalibrationReview()
   calibrationComplete: CalibrationResult
   calibrationCancelled: void
   calibrationRestarted: void
@@ -128,4 +448,9 @@ export interface EventMap {
   cameraStopped: void
   cameraFlipped: void
   timestampReceived: { timestamp: number }
+  clockSynced: ClockSyncEstimate
+  blinkStart: { eye: 'left' | 'right' | 'both'; timestamp: number }
+  blinkEnd: { eye: 'left' | 'right' | 'both'; startTime: number; endTime: number; duration: number }
+  trackingLost: { eye: 'left' | 'right' | 'both'; timestamp: number }
+  trackingRestored: { eye: 'left' | 'right' | 'both'; duration: number }
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * In-memory stand-in for the device's WebSocket
+ * Records the decoded commands sent and delivers Base64-encoded device messages
+ */
+
+export class FakeWebSocket {
+  static CONNECTING = 0
+  static OPEN = 1
+  static CLOSING = 2
+  static CLOSED = 3
+  static instances: FakeWebSocket[] = []
+
+  url: string
+  readyState = FakeWebSocket.CONNECTING
+  sent: any[] = []
+  onopen: ((event: any) => void) | null = null
+  onmessage: ((event: { data: string }) => void) | null = null
+  onerror: ((event: any) => void) | null = null
+  onclose: ((event: { code: number }) => void) | null = null
+
+  constructor(url: string) {
+    this.url = url
+    FakeWebSocket.instances.push(this)
+    // Opens on the next tick, like a real socket
+    setTimeout(() => {
+      this.readyState = FakeWebSocket.OPEN
+      this.onopen?.({})
+    }, 0)
+  }
+
+  send(data: string): void {
+    this.sent.push(JSON.parse(atob(data)))
+  }
+
+  close(): void {
+    this.readyState = FakeWebSocket.CLOSED
+    this.onclose?.({ code: 1000 })
+  }
+
+  /**
+   * Deliver a device message
+   */
+  receive(message: Record<string, any>): void {
+    this.onmessage?.({ data: btoa(JSON.stringify(message)) })
+  }
+
+  /**
+   * req_cmd of every command sent, in order
+   */
+  commands(): string[] {
+    return this.sent.map(command => command.req_cmd)
+  }
+}
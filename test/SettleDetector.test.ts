@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { SettleDetector } from '../src/SettleDetector'
+import { TrackerOutput } from '../src/types'
+
+/**
+ * Tracker output with both eyes looking at one screen point
+ */
+function gazeAt(x: number, y: number): TrackerOutput {
+  return {
+    haveLeftEyeInfo: false,
+    haveRightEyeInfo: false,
+    haveLeftScreenPoint: true,
+    haveRightScreenPoint: true,
+    tLeftScreenPoint: { f32X: x, f32Y: y },
+    tRightScreenPoint: { f32X: x, f32Y: y }
+  }
+}
+
+/**
+ * Feed one output every 20 ms for the given duration
+ */
+async function feed(detector: SettleDetector, duration: number, position: (i: number) => TrackerOutput) {
+  for (let i = 0; i * 20 < duration; i++) {
+    await vi.advanceTimersByTimeAsync(20)
+    detector.process(position(i), performance.now())
+  }
+}
+
+describe('SettleDetector', () => {
+  beforeEach(() => {
+    // The wait is timed with performance.now()
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('resolves false after the fixed dwell', async () => {
+    const detector = new SettleDetector({ pointDuration: 1000 })
+    const settled = vi.fn()
+    detector.wait().then(settled)
+
+    await vi.advanceTimersByTimeAsync(999)
+    expect(settled).not.toHaveBeenCalled()
+    await vi.advanceTimersByTimeAsync(1)
+    expect(settled).toHaveBeenCalledWith(false)
+  })
+
+  it('resolves true once gaze stays within the dispersion threshold', async () => {
+    const detector = new SettleDetector({
+      acceptance: 'gaze', minDuration: 200, settleWindow: 300, maxDuration: 5000, gazeDispersion: 0.05
+    })
+    const settled = vi.fn()
+    detector.wait().then(settled)
+
+    await feed(detector, 1000, () => gazeAt(0.5, 0.5))
+    expect(settled).toHaveBeenCalledWith(true)
+  })
+
+  it('waits for maxDuration while gaze keeps moving', async () => {
+    const detector = new SettleDetector({ acceptance: 'gaze', maxDuration: 1000, gazeDispersion: 0.05 })
+    const settled = vi.fn()
+    detector.wait().then(settled)
+
+    await feed(detector, 980, i => gazeAt(i % 2 ? 0.2 : 0.8, 0.5))
+    expect(settled).not.toHaveBeenCalled()
+    await vi.advanceTimersByTimeAsync(20)
+    expect(settled).toHaveBeenCalledWith(false)
+  })
+
+  it('ends the wait early on accept()', async () => {
+    const detector = new SettleDetector({ pointDuration: 1000 })
+    const wait = detector.wait()
+
+    expect(detector.accept()).toBe(true)
+    await expect(wait).resolves.toBe(false)
+    expect(detector.accept()).toBe(false)
+  })
+
+  it('resolves null when the wait is cancelled', async () => {
+    const detector = new SettleDetector({ pointDuration: 1000 })
+    const wait = detector.wait()
+
+    detector.cancel()
+    await expect(wait).resolves.toBeNull()
+    // The dwell timer is cleared with it
+    expect(vi.getTimerCount()).toBe(0)
+  })
+
+  it('cancels the previous wait when a new one starts', async () => {
+    const detector = new SettleDetector({ pointDuration: 1000 })
+    const first = detector.wait()
+    const second = detector.wait()
+
+    await expect(first).resolves.toBeNull()
+    await vi.advanceTimersByTimeAsync(1000)
+    await expect(second).resolves.toBe(false)
+  })
+})
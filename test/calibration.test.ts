@@ -0,0 +1,239 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { EyeTracker } from '../src/EyeTracker'
+import { CalibrationState } from '../src/types'
+import { FakeWebSocket } from './FakeWebSocket'
+
+const POINT_DURATION = 1000
+const COLLECT_DURATION = 500
+
+let tracker: EyeTracker
+let socket: FakeWebSocket
+let states: CalibrationState[]
+
+/**
+ * Report a finished point, as the device does once it has collected it
+ */
+function finishPoint(finished: number): void {
+  socket.receive({ nFinishedNum: finished })
+}
+
+/**
+ * Let points run their dwell and collect window, reporting each finished after it
+ */
+async function runPoints(first: number, last: number): Promise<void> {
+  for (let finished = first; finished <= last; finished++) {
+    await vi.advanceTimersByTimeAsync(POINT_DURATION + COLLECT_DURATION)
+    finishPoint(finished)
+  }
+}
+
+function calibrationCommands(): any[] {
+  return socket.sent.filter(command => command.req_cmd === 'startCalibration')
+}
+
+describe('EyeTracker calibration', () => {
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] })
+    vi.stubGlobal('WebSocket', FakeWebSocket)
+    FakeWebSocket.instances = []
+
+    tracker = new EyeTracker({
+      wsUrl: 'ws://device',
+      autoInitialize: false,
+      calibrationPoints: 5,
+      calibrationTiming: { pointDuration: POINT_DURATION, collectDuration: COLLECT_DURATION }
+    })
+    const connected = tracker.connect()
+    await vi.advanceTimersByTimeAsync(0)
+    await connected
+    socket = FakeWebSocket.instances[0]
+
+    states = []
+    tracker.on('calibrationStateChanged', ({ state }) => states.push(state))
+  })
+
+  afterEach(() => {
+    tracker.disconnect()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('goes through presenting, collecting, awaiting-device and checking to done', async () => {
+    const calibration = tracker.calibrate()
+
+    expect(tracker.getCalibrationState()).toBe('presenting')
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+    expect(tracker.getCalibrationState()).toBe('collecting')
+    expect(calibrationCommands()[0]).toMatchObject({ point_x: 0.1, point_y: 0.1 })
+    await vi.advanceTimersByTimeAsync(COLLECT_DURATION)
+    expect(tracker.getCalibrationState()).toBe('awaiting-device')
+
+    finishPoint(1)
+    expect(tracker.getCalibrationState()).toBe('presenting')
+    await runPoints(2, 5)
+    expect(tracker.getCalibrationState()).toBe('checking')
+    expect(socket.commands()).toContain('checkCabliration')
+
+    socket.receive({ cablicFinished: true })
+    const result = await calibration
+    expect(result.success).toBe(true)
+    expect(result.points).toHaveLength(5)
+    expect(tracker.getCalibrationState()).toBe('done')
+    expect(calibrationCommands()).toHaveLength(5)
+    expect(states.slice(0, 3)).toEqual(['presenting', 'collecting', 'awaiting-device'])
+  })
+
+  it('skips awaiting-device when the device finishes the point within the collect window', async () => {
+    tracker.startCalibration()
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+    finishPoint(1)
+    await vi.advanceTimersByTimeAsync(COLLECT_DURATION)
+
+    expect(states).not.toContain('awaiting-device')
+    expect(tracker.getCalibrationState()).toBe('presenting')
+  })
+
+  it('reports a failed calibration when the device rejects it', async () => {
+    const calibration = tracker.calibrate()
+    await runPoints(1, 5)
+    socket.receive({ cablicFinished: false })
+
+    const result = await calibration
+    expect(result.success).toBe(false)
+    expect(tracker.getCalibrationState()).toBe('failed')
+  })
+
+  it('settles startCalibration() when paused on the first point, and sends it after resuming', async () => {
+    const started = vi.fn()
+    tracker.startCalibration().then(started)
+    await vi.advanceTimersByTimeAsync(POINT_DURATION / 2)
+
+    tracker.pauseCalibration()
+    await vi.advanceTimersByTimeAsync(0)
+    expect(started).toHaveBeenCalled()
+    expect(tracker.isCalibrationPaused()).toBe(true)
+
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+    expect(calibrationCommands()).toHaveLength(0)
+
+    tracker.resumeCalibration()
+    // The point gets its full dwell again
+    await vi.advanceTimersByTimeAsync(POINT_DURATION - 1)
+    expect(calibrationCommands()).toHaveLength(0)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(calibrationCommands()).toHaveLength(1)
+  })
+
+  it('settles startCalibration() on cancel', async () => {
+    const started = vi.fn()
+    const pending = tracker.startCalibration().then(started)
+
+    tracker.cancelCalibration()
+    await pending
+    expect(started).toHaveBeenCalled()
+    expect(tracker.getCalibrationState()).toBe('cancelled')
+
+    // The cancelled point is never sent
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+    expect(calibrationCommands()).toHaveLength(0)
+  })
+
+  it('rejects calibrate() on cancel', async () => {
+    const calibration = tracker.calibrate()
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+
+    tracker.cancelCalibration()
+    await expect(calibration).rejects.toThrow('Calibration cancelled')
+  })
+
+  it('sends the point shown on acceptCalibrationPoint()', async () => {
+    tracker.startCalibration()
+    await vi.advanceTimersByTimeAsync(100)
+
+    expect(tracker.acceptCalibrationPoint()).toBe(true)
+    await vi.advanceTimersByTimeAsync(0)
+    expect(calibrationCommands()).toHaveLength(1)
+    expect(tracker.getCalibrationState()).toBe('collecting')
+  })
+
+  it('only restarts the current point while it waits to be sent', async () => {
+    expect(() => tracker.restartCurrentPoint()).toThrow('Not calibrating')
+
+    tracker.startCalibration()
+    await vi.advanceTimersByTimeAsync(POINT_DURATION - 100)
+    tracker.restartCurrentPoint()
+    await vi.advanceTimersByTimeAsync(POINT_DURATION - 1)
+    expect(calibrationCommands()).toHaveLength(0)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(calibrationCommands()).toHaveLength(1)
+
+    expect(() => tracker.restartCurrentPoint()).toThrow('No calibration point is waiting to be sent')
+  })
+
+  it('ignores stopCalibration() when no calibration is active', () => {
+    const cancelled = vi.fn()
+    tracker.on('calibrationCancelled', cancelled)
+    const sentBefore = socket.sent.length
+
+    tracker.stopCalibration()
+    expect(socket.sent).toHaveLength(sentBefore)
+    expect(cancelled).not.toHaveBeenCalled()
+    expect(tracker.getCalibrationState()).toBe('idle')
+  })
+
+  it('stops an active calibration on the device', async () => {
+    const cancelled = vi.fn()
+    tracker.on('calibrationCancelled', cancelled)
+    tracker.startCalibration()
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+
+    tracker.stopCalibration()
+    expect(socket.commands().at(-1)).toBe('stopCalibration')
+    expect(cancelled).toHaveBeenCalledOnce()
+    expect(tracker.getCalibrationState()).toBe('cancelled')
+
+    // A late reply to the abandoned point is dropped
+    finishPoint(1)
+    expect(tracker.getCalibrationState()).toBe('cancelled')
+  })
+
+  it('restarts through presenting and shows the first point again', async () => {
+    const progress: number[] = []
+    tracker.on('calibrationProgress', ({ current }) => progress.push(current))
+    tracker.startCalibration()
+    await runPoints(1, 2)
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+    states = []
+
+    tracker.restartCalibration()
+    expect(socket.commands()).toContain('restartCalibration')
+    expect(states[0]).toBe('presenting')
+    expect(progress.at(-1)).toBe(0)
+
+    await vi.advanceTimersByTimeAsync(POINT_DURATION)
+    expect(calibrationCommands().at(-1)).toMatchObject({ point_x: 0.1, point_y: 0.1 })
+    expect(tracker.getCalibrationState()).toBe('collecting')
+  })
+
+  it('holds the result in reviewing until it is accepted', async () => {
+    tracker.setCalibrationReview(true)
+    const review = vi.fn()
+    tracker.on('calibrationReview', review)
+    const completed = vi.fn()
+    const calibration = tracker.calibrate().then(completed)
+
+    await runPoints(1, 5)
+    socket.receive({ cablicFinished: true })
+    await vi.advanceTimersByTimeAsync(0)
+
+    expect(tracker.getCalibrationState()).toBe('reviewing')
+    expect(review).toHaveBeenCalledOnce()
+    expect(completed).not.toHaveBeenCalled()
+
+    const result = tracker.acceptCalibration()
+    await calibration
+    expect(completed).toHaveBeenCalledWith(result)
+    expect(tracker.getCalibrationState()).toBe('done')
+    expect(() => tracker.acceptCalibration()).toThrow('No calibration is waiting for review')
+  })
+})